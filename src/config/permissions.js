@@ -0,0 +1,38 @@
+// Granular permissions and the roles that grant them.
+// Admins implicitly hold every permission.
+const PERMISSIONS = [
+  'cars:write',        // create, edit, retire cars and manage images
+  'branches:manage',   // create, edit and deactivate branches
+  'bookings:read',     // see every customer's bookings
+  'bookings:status',   // change booking status, check vehicles out and in, cancel any booking
+  'coupons:manage',    // create and edit promo codes
+  'reviews:moderate',  // hide or restore reviews
+  'messages:manage',   // read and reply to contact messages
+  'reports:read',      // dashboard and reports
+  'users:read',        // list customers
+  'users:manage',      // assign roles
+  'audit:read'         // view and export the audit log
+];
+
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  staff: ['bookings:read', 'bookings:status', 'messages:manage', 'users:read'],
+  fleet_manager: ['cars:write', 'branches:manage', 'bookings:read', 'reviews:moderate'],
+  finance: ['bookings:read', 'coupons:manage', 'reports:read'],
+  user: [],
+  guest: []
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+  return (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  hasPermission
+};
@@ -0,0 +1,49 @@
+// Pricing rules used by services/pricing.js.
+// Scalar values can be overridden through environment variables.
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+module.exports = {
+  currency: (process.env.STRIPE_CURRENCY || 'usd').toLowerCase(),
+
+  // Days of week charged at the weekend rate (0 = Sunday ... 6 = Saturday)
+  weekendDays: [5, 6],
+  weekendMultiplier: numberFromEnv('PRICING_WEEKEND_MULTIPLIER', 1.15),
+
+  // Seasonal rates, inclusive month-day ranges (MM-DD). Ranges may wrap the year end.
+  seasons: [
+    { name: 'summer', label: 'Summer season', from: '06-15', to: '08-31', multiplier: 1.2 },
+    { name: 'holidays', label: 'Holiday season', from: '12-20', to: '01-05', multiplier: 1.3 }
+  ],
+
+  // Long-rental discounts; the largest applicable one wins
+  durationDiscounts: [
+    { name: 'monthly', label: 'Monthly discount', minDays: 28, percent: numberFromEnv('PRICING_MONTHLY_DISCOUNT', 20) },
+    { name: 'weekly', label: 'Weekly discount', minDays: 7, percent: numberFromEnv('PRICING_WEEKLY_DISCOUNT', 10) }
+  ],
+
+  // Charged when pickupLocation differs from returnLocation
+  oneWayFee: numberFromEnv('PRICING_ONE_WAY_FEE', 50),
+
+  // Percentage applied to the subtotal
+  taxPercent: numberFromEnv('PRICING_TAX_PERCENT', 10),
+
+  // Distance included per rental day; extra km are charged at excessKmRate
+  includedKmPerDay: numberFromEnv('PRICING_INCLUDED_KM_PER_DAY', 250),
+  excessKmRate: numberFromEnv('PRICING_EXCESS_KM_RATE', 0.3),
+
+  // Late returns: each started hour after the grace period costs this percentage
+  // of the daily price, capped at one full day per 24 hours late
+  lateReturnGraceMinutes: numberFromEnv('PRICING_LATE_GRACE_MINUTES', 59),
+  lateReturnHourlyPercent: numberFromEnv('PRICING_LATE_HOURLY_PERCENT', 20),
+
+  // Refundable deposit collected at pickup, by car category
+  securityDeposit: {
+    default: numberFromEnv('PRICING_SECURITY_DEPOSIT', 200),
+    premium: 500,
+    luxury: 1000,
+    sports: 1000
+  }
+};
@@ -1,12 +0,0 @@
-const admin = (req, res, next) => {
-    if (req.user && req.user.role === 'admin') {
-      next();
-    } else {
-      res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin privileges required.'
-      });
-    }
-  };
-  
-  module.exports = admin;
\ No newline at end of file
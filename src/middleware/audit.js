@@ -0,0 +1,50 @@
+const { recordAudit } = require('../services/audit');
+
+// Record an audit entry for a mutating route once it succeeds.
+// Loads the target document (Model, id from req.params[idParam]) before the
+// handler runs and again afterwards, so the entry holds a before/after diff.
+// For creates without an id param the new document's id is taken from the
+// response body's `data._id`.
+const audit = (action, Model, { idParam = 'id' } = {}) => async (req, res, next) => {
+  const targetId = req.params[idParam];
+  let before = null;
+
+  try {
+    if (targetId) before = await Model.findById(targetId).lean();
+  } catch (error) {
+    before = null;
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.auditBody = body;
+    return json(body);
+  };
+
+  res.on('finish', async () => {
+    if (res.statusCode >= 400) return;
+
+    const body = res.locals.auditBody;
+    const id = targetId || (body && body.data && body.data._id);
+
+    let after = null;
+    try {
+      if (id) after = await Model.findById(id).lean();
+    } catch (error) {
+      after = null;
+    }
+
+    recordAudit({
+      req,
+      action,
+      targetType: Model.modelName,
+      targetId: id,
+      before,
+      after
+    });
+  });
+
+  next();
+};
+
+module.exports = audit;
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 const auth = async (req, res, next) => {
   try {
@@ -30,7 +31,25 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before the last password change are no longer valid
+    if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, password has changed'
+      });
+    }
+
+    // Access tokens are bound to a session that can be revoked
+    const session = decoded.sid && await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || session.user.toString() !== user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, session has ended'
+      });
+    }
+
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     res.status(401).json({
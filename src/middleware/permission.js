@@ -0,0 +1,18 @@
+const { hasPermission } = require('../config/permissions');
+
+// Allow the request only if the authenticated user holds every listed permission.
+// Must run after the auth middleware.
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+
+  if (missing.length === 0) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message: `Access denied. Missing permission: ${missing.join(', ')}`
+  });
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+const UPLOAD_ROOT = 'uploads';
+const ALLOWED_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp'
+};
+const MAX_FILE_SIZE = (parseFloat(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 5) * 1024 * 1024;
+const MAX_FILES = 10;
+
+// Multer instance storing images under uploads/<folder>
+const createImageUpload = (folder) => {
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = path.join(UPLOAD_ROOT, folder);
+      fs.mkdir(dir, { recursive: true }, (err) => cb(err, dir));
+    },
+    filename: (req, file, cb) => {
+      const name = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ALLOWED_TYPES[file.mimetype]}`;
+      cb(null, name);
+    }
+  });
+
+  return multer({
+    storage,
+    limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+    fileFilter: (req, file, cb) => {
+      if (!ALLOWED_TYPES[file.mimetype]) {
+        return cb(new multer.MulterError('INVALID_FILE_TYPE', file.fieldname));
+      }
+      cb(null, true);
+    }
+  });
+};
+
+const errorMessages = {
+  LIMIT_FILE_SIZE: `Each image must be smaller than ${MAX_FILE_SIZE / (1024 * 1024)}MB`,
+  LIMIT_FILE_COUNT: `Cannot upload more than ${MAX_FILES} images at once`,
+  LIMIT_UNEXPECTED_FILE: `Upload up to ${MAX_FILES} images in the expected form field`,
+  INVALID_FILE_TYPE: 'Only JPEG, PNG and WebP images are allowed'
+};
+
+// Accept up to MAX_FILES images in the `field` form field, answering 400 on invalid uploads
+const uploadImages = (folder, field = 'images') => {
+  const upload = createImageUpload(folder).array(field, MAX_FILES);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({
+          success: false,
+          message: errorMessages[err.code] || err.message
+        });
+      }
+      if (err) return next(err);
+      next();
+    });
+  };
+};
+
+// Public URL for a stored upload, as served by the /uploads static route
+const toUploadUrl = (file) => `/${file.path.split(path.sep).join('/')}`;
+
+// Remove a previously uploaded file given its public URL; ignores non-local URLs
+const removeUpload = (url) => {
+  if (!url || !url.startsWith(`/${UPLOAD_ROOT}/`)) return Promise.resolve();
+
+  const root = path.resolve(UPLOAD_ROOT);
+  const filePath = path.resolve(root, url.slice(UPLOAD_ROOT.length + 2));
+  if (!filePath.startsWith(root + path.sep)) return Promise.resolve();
+
+  return fs.promises.unlink(filePath).catch(() => {});
+};
+
+module.exports = {
+  uploadImages,
+  toUploadUrl,
+  removeUpload
+};
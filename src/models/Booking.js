@@ -1,5 +1,63 @@
 const mongoose = require('mongoose');
 
+// Append-only record of a status change; entries cannot be edited once saved
+const statusHistorySchema = new mongoose.Schema({
+  from: { type: String, immutable: true },
+  to: { type: String, required: true, immutable: true },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+  note: { type: String, immutable: true },
+  at: { type: Date, default: Date.now, immutable: true }
+}, { _id: false });
+
+// Append-only record of a change to dates, car or branches
+const changeHistorySchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+  // Changed fields as { field: { from, to } }
+  changes: { type: mongoose.Schema.Types.Mixed, immutable: true },
+  previousTotal: { type: Number, immutable: true },
+  newTotal: { type: Number, immutable: true },
+  note: { type: String, immutable: true },
+  at: { type: Date, default: Date.now, immutable: true }
+}, { _id: false });
+
+// Copy of a coupon's discount terms, so later edits to the coupon do not change the booking
+const couponTermsSchema = new mongoose.Schema({
+  code: String,
+  discountType: String,
+  value: Number,
+  eligibleCategories: [String]
+}, { _id: false });
+
+const vehicleInspectionSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  odometer: {
+    type: Number,
+    required: true,
+    min: [0, 'Odometer reading cannot be negative']
+  },
+  fuelLevel: {
+    type: Number,
+    required: true,
+    min: [0, 'Fuel level must be between 0 and 100'],
+    max: [100, 'Fuel level must be between 0 and 100']
+  },
+  damageNotes: String,
+  photos: [String],
+  lateMinutes: Number
+}, { _id: false });
+
 const bookingSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -28,14 +86,55 @@ const bookingSchema = new mongoose.Schema({
     required: true,
     min: [0, 'Total amount cannot be negative']
   },
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  couponCode: String,
+  // Itemized price breakdown from services/pricing
+  pricing: {
+    currency: String,
+    items: [{
+      _id: false,
+      code: String,
+      description: String,
+      amount: Number
+    }],
+    subtotal: Number,
+    taxPercent: Number,
+    tax: Number,
+    total: Number,
+    securityDeposit: Number,
+    // Terms of the coupon as they were when the booking was made, used when it is repriced
+    coupon: couponTermsSchema
+  },
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'active', 'completed', 'cancelled'],
     default: 'pending'
   },
+  statusHistory: [statusHistorySchema],
+  // Vehicle condition recorded by staff at pickup (checkOut) and return (checkIn)
+  conditionReport: {
+    checkOut: vehicleInspectionSchema,
+    checkIn: vehicleInspectionSchema
+  },
+  // Charges added on return, e.g. excess distance or late return
+  extraCharges: [{
+    _id: false,
+    code: String,
+    description: String,
+    amount: Number
+  }],
+  extraChargesTotal: {
+    type: Number,
+    default: 0
+  },
+  // Pending bookings only block their dates until this time
+  holdExpiresAt: Date,
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
     default: 'pending'
   },
   paymentMethod: {
@@ -43,6 +142,50 @@ const bookingSchema = new mongoose.Schema({
     enum: ['card', 'cash', 'bank_transfer']
   },
   stripePaymentIntentId: String,
+  paidAt: Date,
+  // Set when a successful payment does not match the booking (wrong intent or
+  // amount); the booking is left unpaid for staff to resolve
+  paymentIssue: {
+    reason: String,
+    stripePaymentIntentId: String,
+    amount: Number,
+    at: Date
+  },
+  // Amount collected by the original PaymentIntent
+  amountPaid: Number,
+  // Amount still to be paid after a change raised the price
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
+  // Additional charges and refunds after the original payment
+  paymentAdjustments: [{
+    kind: {
+      type: String,
+      enum: ['charge', 'refund'],
+      required: true
+    },
+    amount: Number,
+    stripePaymentIntentId: String,
+    stripeRefundId: String,
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed', 'cancelled'],
+      default: 'pending'
+    },
+    reason: String,
+    at: { type: Date, default: Date.now }
+  }],
+  changeHistory: [changeHistorySchema],
+  pickupBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  returnBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  // Branch names at the time of booking
   pickupLocation: {
     type: String,
     required: [true, 'Pickup location is required']
@@ -52,6 +195,21 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Return location is required']
   },
   specialRequests: String,
+  notifications: {
+    pickupReminderSentAt: Date
+  },
+  cancellation: {
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    refundPercent: Number,
+    refundAmount: Number,
+    refundRule: String,
+    stripeRefundId: String
+  },
   isGuestBooking: {
     type: Boolean,
     default: false
@@ -84,5 +242,6 @@ bookingSchema.pre('validate', function(next) {
 bookingSchema.index({ user: 1, createdAt: -1 });
 bookingSchema.index({ car: 1, startDate: 1, endDate: 1 });
 bookingSchema.index({ status: 1, createdAt: -1 });
+bookingSchema.index({ stripePaymentIntentId: 1 }, { sparse: true });
 
 module.exports = mongoose.model('Booking', bookingSchema);
\ No newline at end of file
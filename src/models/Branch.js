@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const openingHoursSchema = new mongoose.Schema({
+  // 0 = Sunday ... 6 = Saturday; days without an entry are closed
+  day: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  open: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Opening time must be HH:mm']
+  },
+  close: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Closing time must be HH:mm']
+  }
+}, { _id: false });
+
+const closureSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Closure date must be YYYY-MM-DD']
+  },
+  name: String
+}, { _id: false });
+
+const branchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Branch name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Branch code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  address: {
+    street: String,
+    city: { type: String, required: [true, 'City is required'] },
+    state: String,
+    zipCode: String,
+    country: { type: String, default: 'USA' }
+  },
+  // GeoJSON point, coordinates are [longitude, latitude]
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: [true, 'Coordinates are required'],
+      validate: {
+        validator: (value) => value.length === 2 &&
+          value[0] >= -180 && value[0] <= 180 &&
+          value[1] >= -90 && value[1] <= 90,
+        message: 'Coordinates must be [longitude, latitude]'
+      }
+    }
+  },
+  phone: String,
+  email: String,
+  timezone: {
+    type: String,
+    required: [true, 'Timezone is required'],
+    validate: {
+      validator: (value) => {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Invalid timezone'
+    }
+  },
+  openingHours: [openingHoursSchema],
+  closures: [closureSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Weekday, date and time of `date` in the branch's timezone
+branchSchema.methods.localTime = function(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: this.timezone,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(date)).reduce((result, part) => {
+    result[part.type] = part.value;
+    return result;
+  }, {});
+
+  return {
+    day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+};
+
+// Whether the branch is open for pickups and returns at `date`. Hours that close at or
+// before their opening time run past midnight, e.g. 18:00-02:00; a closure date closes
+// everything that opens on it.
+branchSchema.methods.isOpenAt = function(date) {
+  const local = this.localTime(date);
+  const previous = this.localTime(new Date(date).getTime() - 24 * 3600 * 1000);
+  const isClosed = (day) => this.closures.some(closure => closure.date === day);
+
+  return this.openingHours.some(hours => {
+    const overnight = hours.close <= hours.open;
+
+    if (hours.day === local.day && local.time >= hours.open && (overnight || local.time < hours.close)) {
+      return !isClosed(local.date);
+    }
+    // After midnight, still inside the previous day's overnight hours
+    return overnight && hours.day === previous.day && local.time < hours.close && !isClosed(previous.date);
+  });
+};
+
+branchSchema.index({ location: '2dsphere' });
+branchSchema.index({ isActive: 1, name: 1 });
+
+module.exports = mongoose.model('Branch', branchSchema);
@@ -16,6 +16,17 @@ const carSchema = new mongoose.Schema({
     required: [true, 'Model is required'],
     trim: true
   },
+  // Vehicle identification number; either it or the plate identifies a car on bulk import
+  vin: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  licensePlate: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
   year: {
     type: Number,
     required: [true, 'Year is required'],
@@ -63,9 +74,30 @@ const carSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  location: {
-    type: String,
-    required: [true, 'Location is required']
+  // Booking currently out on rental, if any
+  currentBooking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  // Retired cars are kept for booking history but can no longer be rented
+  isRetired: {
+    type: Boolean,
+    default: false
+  },
+  retiredAt: Date,
+  // Home branch the car is rented from
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Home branch is required']
+  },
+  // Display name of the home branch, kept for text search
+  location: String,
+  // Last completed service, used for mileage and time based service reminders
+  service: {
+    lastServiceAt: Date,
+    lastServiceMileage: Number,
+    reminderSentAt: Date
   },
   rating: {
     average: { type: Number, default: 0, min: 0, max: 5 },
@@ -77,9 +109,20 @@ const carSchema = new mongoose.Schema({
   }
 });
 
+// New cars start their first service interval at the mileage they were added with
+carSchema.pre('save', function(next) {
+  if (this.isNew && this.service.lastServiceMileage === undefined) {
+    this.service.lastServiceMileage = this.mileage;
+  }
+  next();
+});
+
 // Index for search functionality
 carSchema.index({ name: 'text', brand: 'text', model: 'text', category: 'text' });
 carSchema.index({ category: 1, pricePerDay: 1 });
 carSchema.index({ location: 1, isAvailable: 1 });
+carSchema.index({ branch: 1, isAvailable: 1 });
+carSchema.index({ vin: 1 }, { unique: true, partialFilterExpression: { vin: { $type: 'string' } } });
+carSchema.index({ licensePlate: 1 }, { unique: true, partialFilterExpression: { licensePlate: { $type: 'string' } } });
 
 module.exports = mongoose.model('Car', carSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Short-lived per-car lock used to serialize reservations for the same car.
+// The document _id is the car id, so only one lock can exist per car.
+const carLockSchema = new mongoose.Schema({
+  _id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car'
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB clean up locks left behind by crashed processes
+carLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CarLock', carLockSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const contactMessageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  phone: String,
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    maxlength: [5000, 'Message cannot exceed 5000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['new', 'read', 'replied'],
+    default: 'new'
+  },
+  ip: String,
+  replies: [{
+    message: String,
+    repliedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    repliedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  readAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+contactMessageSchema.index({ status: 1, createdAt: -1 });
+contactMessageSchema.index({ email: 1 });
+
+module.exports = mongoose.model('ContactMessage', contactMessageSchema);
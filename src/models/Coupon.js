@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Car = require('./Car');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  discountType: {
+    type: String,
+    required: [true, 'Discount type is required'],
+    enum: ['percent', 'fixed']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  validFrom: Date,
+  validUntil: Date,
+  // Total number of redemptions allowed (unlimited when not set)
+  maxRedemptions: {
+    type: Number,
+    min: [1, 'Max redemptions must be at least 1']
+  },
+  // Redemptions allowed per user (unlimited when not set)
+  perUserLimit: {
+    type: Number,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  // Restrict to these car categories (all categories when empty)
+  eligibleCategories: [{
+    type: String,
+    enum: Car.schema.path('category').enumValues
+  }],
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percent' && this.value > 100) {
+    this.invalidate('value', 'Percent discount cannot exceed 100');
+  }
+  if (this.validFrom && this.validUntil && this.validFrom >= this.validUntil) {
+    this.invalidate('validUntil', 'Valid until must be after valid from');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
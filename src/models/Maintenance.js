@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A period during which a car is out of service. Scheduled and in-progress
+// blocks count as conflicts for bookings (see services/reservation.js).
+const maintenanceSchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Maintenance type is required'],
+    enum: ['service', 'repair', 'inspection']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'in_progress', 'completed', 'cancelled'],
+    default: 'scheduled'
+  },
+  cost: {
+    type: Number,
+    min: [0, 'Cost cannot be negative'],
+    default: 0
+  },
+  // Odometer reading when the work was done
+  odometer: {
+    type: Number,
+    min: [0, 'Odometer cannot be negative']
+  },
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  completedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+maintenanceSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after start date');
+  }
+  next();
+});
+
+maintenanceSchema.index({ car: 1, startDate: 1, endDate: 1 });
+maintenanceSchema.index({ status: 1, startDate: 1 });
+
+module.exports = mongoose.model('Maintenance', maintenanceSchema);
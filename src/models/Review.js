@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true // One review per booking
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  comment: {
+    type: String,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  moderation: {
+    reason: String,
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+});
+
+// Recompute Car.rating from all visible reviews of a car
+reviewSchema.statics.updateCarRating = async function(carId) {
+  const [stats] = await this.aggregate([
+    { $match: { car: new mongoose.Types.ObjectId(carId), isHidden: false } },
+    { $group: { _id: '$car', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('Car').updateOne(
+    { _id: carId },
+    {
+      'rating.average': stats ? Math.round(stats.average * 10) / 10 : 0,
+      'rating.count': stats ? stats.count : 0
+    }
+  );
+};
+
+reviewSchema.pre('save', function(next) {
+  if (!this.isNew) this.updatedAt = new Date();
+  next();
+});
+
+// Keep the car's aggregate rating in sync when reviews are created, edited or hidden
+reviewSchema.post('save', async function() {
+  await this.constructor.updateCarRating(this.car);
+});
+
+reviewSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) await doc.constructor.updateCarRating(doc.car);
+});
+
+reviewSchema.index({ car: 1, isHidden: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
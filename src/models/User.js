@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -42,7 +44,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin', 'guest'],
+    enum: ROLES,
     default: 'user'
   },
   isVerified: {
@@ -53,6 +55,14 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  passwordChangedAt: Date,
+  // Single-use tokens are stored hashed; the raw token is only ever emailed
+  passwordResetToken: { type: String, select: false },
+  passwordResetExpires: { type: Date, select: false },
+  emailVerificationToken: { type: String, select: false },
+  emailVerificationExpires: { type: Date, select: false },
+  accountClaimToken: { type: String, select: false },
+  accountClaimExpires: { type: Date, select: false },
   createdAt: {
     type: Date,
     default: Date.now
@@ -63,6 +73,7 @@ const userSchema = new mongoose.Schema({
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password') || !this.password) return next();
   this.password = await bcrypt.hash(this.password, 12);
+  if (!this.isNew) this.passwordChangedAt = new Date();
   next();
 });
 
@@ -72,4 +83,32 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+userSchema.statics.hashToken = hashToken;
+
+// Generate a password reset token valid for 1 hour; returns the raw token
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000);
+  return token;
+};
+
+// Generate an email verification token valid for 24 hours; returns the raw token
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return token;
+};
+
+// Generate a token for upgrading a guest to a full account, valid for 24 hours; returns the raw token
+userSchema.methods.createAccountClaimToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.accountClaimToken = hashToken(token);
+  this.accountClaimExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return token;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
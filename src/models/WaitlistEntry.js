@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Car = require('./Car');
+
+// A customer waiting for a specific car, or any car of a category at the pickup
+// branch, to become free for their dates. Entries are offered in creation order.
+const waitlistEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car'
+  },
+  category: {
+    type: String,
+    enum: Car.schema.path('category').enumValues
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  pickupBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Pickup branch is required']
+  },
+  returnBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Return branch is required']
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // Pending booking holding the freed car while the offer is open
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  offeredAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+waitlistEntrySchema.pre('validate', function(next) {
+  if (!this.car && !this.category) {
+    this.invalidate('car', 'A car or a category is required');
+  }
+  next();
+});
+
+waitlistEntrySchema.index({ status: 1, car: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, category: 1, pickupBranch: 1, createdAt: 1 });
+waitlistEntrySchema.index({ booking: 1 });
+waitlistEntrySchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -1,16 +1,30 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Car = require('../models/Car');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
+const Coupon = require('../models/Coupon');
+const Review = require('../models/Review');
+const ContactMessage = require('../models/ContactMessage');
+const AuditLog = require('../models/AuditLog');
+const { transitionBooking, BookingTransitionError } = require('../services/bookingStatus');
+const { calculateReturnCharges, roundMoney } = require('../services/pricing');
+const { sendEmail } = require('../services/notifications');
+const { getFleetCalendar } = require('../services/calendar');
+const { REPORTS } = require('../services/reports');
+const { toCsv, sendCsvHeaders } = require('../utils/csv');
+const { streamExport } = require('../utils/export');
 const auth = require('../middleware/auth');
-const admin = require('../middleware/admin');
+const requirePermission = require('../middleware/permission');
+const audit = require('../middleware/audit');
+const { ROLES, ROLE_PERMISSIONS } = require('../config/permissions');
+const { uploadImages, toUploadUrl, removeUpload } = require('../middleware/upload');
 const router = express.Router();
 
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard stats
-// @access  Private/Admin
-router.get('/dashboard', [auth, admin], async (req, res) => {
+// @access  Private (reports:read)
+router.get('/dashboard', [auth, requirePermission('reports:read')], async (req, res) => {
   try {
     const totalCars = await Car.countDocuments();
     const availableCars = await Car.countDocuments({ isAvailable: true });
@@ -19,11 +33,11 @@ router.get('/dashboard', [auth, admin], async (req, res) => {
     const totalUsers = await User.countDocuments({ role: 'user' });
     
     // Revenue calculation
-    const completedBookings = await Booking.find({ 
-      status: 'completed',
-      paymentStatus: 'paid'
-    });
-    const totalRevenue = completedBookings.reduce((sum, booking) => sum + booking.totalAmount, 0);
+    const [revenue] = await Booking.aggregate([
+      { $match: { status: 'completed', paymentStatus: 'paid' } },
+      { $group: { _id: null, total: { $sum: '$totalAmount' } } }
+    ]);
+    const totalRevenue = revenue ? roundMoney(revenue.total) : 0;
 
     // Recent bookings
     const recentBookings = await Booking.find()
@@ -55,10 +69,91 @@ router.get('/dashboard', [auth, admin], async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/reports/:report
+// @desc    Run an aggregate report (revenue, revenue-breakdown, utilization, bookings,
+//          top-customers) for a date range; add format=csv to download it
+// @access  Private (reports:read)
+router.get('/reports/:report', [auth, requirePermission('reports:read')], [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('groupBy').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Own properties only, so names like "constructor" are not treated as reports
+    const report = Object.prototype.hasOwnProperty.call(REPORTS, req.params.report) && REPORTS[req.params.report];
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    // Default to the last 30 days
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (to <= from) {
+      return res.status(400).json({
+        success: false,
+        message: 'To must be after from'
+      });
+    }
+
+    const groupBy = req.query.groupBy || report.groupBy[0];
+    if (req.query.groupBy && !report.groupBy.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: report.groupBy.length
+          ? `groupBy must be one of: ${report.groupBy.join(', ')}`
+          : 'This report does not support groupBy'
+      });
+    }
+
+    const { columns, rows } = await report.build({
+      from,
+      to,
+      groupBy,
+      limit: parseInt(req.query.limit) || 10
+    });
+
+    if (req.query.format === 'csv') {
+      sendCsvHeaders(res, `${req.params.report}-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.csv`);
+      return res.send(toCsv(rows, columns));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        report: req.params.report,
+        from,
+        to,
+        groupBy: report.groupBy.length ? groupBy : undefined,
+        rows
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/admin/bookings
 // @desc    Get all bookings (Admin)
-// @access  Private/Admin
-router.get('/bookings', [auth, admin], async (req, res) => {
+// @access  Private (bookings:read)
+router.get('/bookings', [auth, requirePermission('bookings:read')], async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -95,11 +190,73 @@ router.get('/bookings', [auth, admin], async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/fleet/calendar
+// @desc    Get fleet-wide daily availability grid with utilization (Admin)
+// @access  Private (bookings:read)
+router.get('/fleet/calendar', [auth, requirePermission('bookings:read')], [
+  query('from').isISO8601().withMessage('From must be a valid date'),
+  query('to').isISO8601().withMessage('To must be a valid date'),
+  query('branch').optional().isMongoId().withMessage('Branch must be a valid ID'),
+  query('category').optional().isIn(Car.schema.path('category').enumValues).withMessage('Invalid category')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+    const maxDays = 92;
+
+    if (to <= from) {
+      return res.status(400).json({
+        success: false,
+        message: 'To must be after from'
+      });
+    }
+
+    if ((to - from) / (24 * 60 * 60 * 1000) > maxDays) {
+      return res.status(400).json({
+        success: false,
+        message: `Calendar window cannot exceed ${maxDays} days`
+      });
+    }
+
+    const carQuery = { isRetired: { $ne: true } };
+    if (req.query.branch) carQuery.branch = req.query.branch;
+    if (req.query.category) carQuery.category = req.query.category;
+
+    const cars = await Car.find(carQuery)
+      .select('name brand model category branch isAvailable')
+      .sort({ name: 1 })
+      .lean();
+
+    const grid = await getFleetCalendar(cars, from, to);
+
+    res.json({
+      success: true,
+      data: grid
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // @route   PUT /api/admin/bookings/:id/status
 // @desc    Update booking status
-// @access  Private/Admin
-router.put('/bookings/:id/status', [auth, admin], [
-  body('status').isIn(['pending', 'confirmed', 'active', 'completed', 'cancelled']).withMessage('Invalid status')
+// @access  Private (bookings:status)
+router.put('/bookings/:id/status', [auth, requirePermission('bookings:status'), audit('booking.status', Booking)], [
+  body('status').isIn(['pending', 'confirmed', 'active', 'completed', 'cancelled']).withMessage('Invalid status'),
+  body('note').optional().isString().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -111,11 +268,7 @@ router.put('/bookings/:id/status', [auth, admin], [
       });
     }
 
-    const booking = await Booking.findByIdAndUpdate(
-      req.params.id,
-      { status: req.body.status },
-      { new: true }
-    ).populate('user', 'name email').populate('car', 'name brand model');
+    const booking = await Booking.findById(req.params.id);
 
     if (!booking) {
       return res.status(404).json({
@@ -124,12 +277,200 @@ router.put('/bookings/:id/status', [auth, admin], [
       });
     }
 
+    await transitionBooking(booking, req.body.status, { actor: req.user.id, note: req.body.note });
+    await booking.populate([
+      { path: 'user', select: 'name email' },
+      { path: 'car', select: 'name brand model' }
+    ]);
+
     res.json({
       success: true,
       message: 'Booking status updated successfully',
       data: booking
     });
   } catch (error) {
+    if (error instanceof BookingTransitionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+const inspectionValidation = [
+  body('odometer').isInt({ min: 0 }).withMessage('Odometer reading must be a positive integer'),
+  body('fuelLevel').isInt({ min: 0, max: 100 }).withMessage('Fuel level must be between 0 and 100'),
+  body('damageNotes').optional().isLength({ max: 1000 }).withMessage('Damage notes cannot exceed 1000 characters')
+];
+
+// @route   POST /api/admin/bookings/:id/checkout
+// @desc    Hand the car over to the customer (confirmed -> active).
+//          Multipart form: odometer, fuelLevel, damageNotes and "photos" of existing damage.
+// @access  Private (bookings:status)
+router.post('/bookings/:id/checkout', [auth, requirePermission('bookings:status'), audit('booking.checkout', Booking), uploadImages('inspections', 'photos')], inspectionValidation, async (req, res) => {
+  const photos = (req.files || []).map(toUploadUrl);
+  let saved = false;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await Promise.all(photos.map(removeUpload));
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id).populate('car');
+
+    if (!booking) {
+      await Promise.all(photos.map(removeUpload));
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const odometer = parseInt(req.body.odometer);
+    if (odometer < booking.car.mileage) {
+      await Promise.all(photos.map(removeUpload));
+      return res.status(400).json({
+        success: false,
+        message: `Odometer reading cannot be lower than the car's recorded mileage (${booking.car.mileage})`
+      });
+    }
+
+    booking.conditionReport.checkOut = {
+      at: new Date(),
+      by: req.user.id,
+      odometer,
+      fuelLevel: parseInt(req.body.fuelLevel),
+      damageNotes: req.body.damageNotes,
+      photos
+    };
+
+    booking.depopulate('car');
+    await transitionBooking(booking, 'active', { actor: req.user.id, note: 'Vehicle checked out' });
+    saved = true;
+
+    res.json({
+      success: true,
+      message: 'Vehicle checked out successfully',
+      data: booking
+    });
+  } catch (error) {
+    // Once saved, the condition report references the photos, so keep them
+    if (!saved) await Promise.all(photos.map(removeUpload));
+    if (error instanceof BookingTransitionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/bookings/:id/checkin
+// @desc    Take the car back (active -> completed), update mileage and add extra charges.
+//          Multipart form: odometer, fuelLevel, damageNotes and "photos" of new damage.
+// @access  Private (bookings:status)
+router.post('/bookings/:id/checkin', [auth, requirePermission('bookings:status'), audit('booking.checkin', Booking), uploadImages('inspections', 'photos')], inspectionValidation, async (req, res) => {
+  const photos = (req.files || []).map(toUploadUrl);
+  let saved = false;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await Promise.all(photos.map(removeUpload));
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id).populate('car');
+
+    if (!booking) {
+      await Promise.all(photos.map(removeUpload));
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.status !== 'active' || !booking.conditionReport.checkOut) {
+      await Promise.all(photos.map(removeUpload));
+      return res.status(400).json({
+        success: false,
+        message: 'Only checked-out bookings can be checked in'
+      });
+    }
+
+    const odometer = parseInt(req.body.odometer);
+    if (odometer < booking.conditionReport.checkOut.odometer) {
+      await Promise.all(photos.map(removeUpload));
+      return res.status(400).json({
+        success: false,
+        message: `Odometer reading cannot be lower than at checkout (${booking.conditionReport.checkOut.odometer})`
+      });
+    }
+
+    const returnedAt = new Date();
+    const car = booking.car;
+    const charges = calculateReturnCharges({ car, booking, odometer, returnedAt });
+
+    booking.conditionReport.checkIn = {
+      at: returnedAt,
+      by: req.user.id,
+      odometer,
+      fuelLevel: parseInt(req.body.fuelLevel),
+      damageNotes: req.body.damageNotes,
+      photos,
+      lateMinutes: charges.lateMinutes
+    };
+    booking.extraCharges.push(...charges.items);
+    booking.extraChargesTotal = roundMoney(booking.extraCharges.reduce((sum, charge) => sum + charge.amount, 0));
+    // Collected like any other balance, through POST /api/bookings/:id/pay
+    booking.balanceDue = roundMoney((booking.balanceDue || 0) + charges.total);
+
+    booking.depopulate('car');
+    await transitionBooking(booking, 'completed', { actor: req.user.id, note: 'Vehicle checked in' });
+    saved = true;
+    await Car.updateOne({ _id: car._id }, { $max: { mileage: odometer } });
+
+    res.json({
+      success: true,
+      message: 'Vehicle checked in successfully',
+      data: {
+        booking,
+        distance: charges.distance,
+        includedDistance: charges.includedDistance,
+        extraCharges: charges.items,
+        extraChargesTotal: charges.total
+      }
+    });
+  } catch (error) {
+    // Once saved, the condition report references the photos, so keep them
+    if (!saved) await Promise.all(photos.map(removeUpload));
+    if (error instanceof BookingTransitionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -140,19 +481,32 @@ router.put('/bookings/:id/status', [auth, admin], [
 
 // @route   GET /api/admin/users
 // @desc    Get all users
-// @access  Private/Admin
-router.get('/users', [auth, admin], async (req, res) => {
+// @access  Private (users:read)
+router.get('/users', [auth, requirePermission('users:read')], [
+  query('role').optional().isIn(ROLES).withMessage('Invalid role')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const users = await User.find({ role: 'user' })
+    const query = { role: req.query.role || 'user' };
+
+    const users = await User.find(query)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
-    const total = await User.countDocuments({ role: 'user' });
+    const total = await User.countDocuments(query);
 
     res.json({
       success: true,
@@ -173,4 +527,780 @@ router.get('/users', [auth, admin], async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/roles
+// @desc    Get roles and the permissions they grant
+// @access  Private (users:manage)
+router.get('/roles', [auth, requirePermission('users:manage')], (req, res) => {
+  res.json({
+    success: true,
+    data: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] }))
+  });
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Assign a role to a user
+// @access  Private (users:manage)
+router.put('/users/:id/role', [auth, requirePermission('users:manage'), audit('user.role', User)], [
+  body('role').isIn(ROLES.filter(role => role !== 'guest')).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isGuest) {
+      return res.status(400).json({
+        success: false,
+        message: 'Guest users must create an account before they can be given a role'
+      });
+    }
+
+    user.role = req.body.role;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Build an audit log query from request filters
+const buildAuditQuery = (params) => {
+  const query = {};
+  if (params.actor) query.actor = params.actor;
+  if (params.action) query.action = params.action;
+  if (params.targetType) query.targetType = params.targetType;
+  if (params.targetId) query.targetId = params.targetId;
+  if (params.from || params.to) {
+    query.createdAt = {};
+    if (params.from) query.createdAt.$gte = new Date(params.from);
+    if (params.to) query.createdAt.$lte = new Date(params.to);
+  }
+  return query;
+};
+
+const auditFilterValidation = [
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('targetId').optional().isMongoId().withMessage('Invalid target ID'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+];
+
+// @route   GET /api/admin/audit
+// @desc    Get audit log entries
+// @access  Private (audit:read)
+router.get('/audit', [auth, requirePermission('audit:read')], auditFilterValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const auditQuery = buildAuditQuery(req.query);
+
+    const entries = await AuditLog.find(auditQuery)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(auditQuery);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+const AUDIT_COLUMNS = [
+  { header: 'createdAt', value: entry => entry.createdAt },
+  { header: 'actor', value: entry => (entry.actor ? entry.actor.email : '') },
+  { header: 'actorRole', value: entry => entry.actorRole },
+  { header: 'action', value: entry => entry.action },
+  { header: 'targetType', value: entry => entry.targetType },
+  { header: 'targetId', value: entry => entry.targetId },
+  { header: 'before', value: entry => entry.changes && entry.changes.before },
+  { header: 'after', value: entry => entry.changes && entry.changes.after },
+  { header: 'ip', value: entry => entry.ip }
+];
+
+// @route   GET /api/admin/audit/export
+// @desc    Export audit log entries as CSV (same filters as GET /audit)
+// @access  Private (audit:read)
+router.get('/audit/export', [auth, requirePermission('audit:read')], auditFilterValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const cursor = AuditLog.find(buildAuditQuery(req.query))
+      .populate('actor', 'email')
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+
+    await streamExport(res, cursor, AUDIT_COLUMNS, { filename: 'audit-log' });
+  } catch (error) {
+    // Part of the file was already sent; abort so the client sees a failed download, not a truncated one
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Export formats and date range shared by the export routes
+const exportValidation = [
+  query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+];
+
+const createdInRange = ({ from, to }) => {
+  if (!from && !to) return {};
+  const createdAt = {};
+  if (from) createdAt.$gte = new Date(from);
+  if (to) createdAt.$lt = new Date(to);
+  return { createdAt };
+};
+
+const idOf = (doc) => (doc ? String(doc._id || doc) : '');
+
+// Column definitions for each export
+const EXPORTS = {
+  cars: {
+    permission: 'cars:write',
+    find: (req) => Car.find(createdInRange(req.query)).populate('branch', 'code'),
+    columns: [
+      { header: 'id', value: car => idOf(car) },
+      { header: 'vin', value: car => car.vin },
+      { header: 'licensePlate', value: car => car.licensePlate },
+      { header: 'name', value: car => car.name },
+      { header: 'brand', value: car => car.brand },
+      { header: 'model', value: car => car.model },
+      { header: 'year', value: car => car.year },
+      { header: 'category', value: car => car.category },
+      { header: 'pricePerDay', value: car => car.pricePerDay },
+      { header: 'mileage', value: car => car.mileage },
+      { header: 'branch', value: car => car.branch && car.branch.code },
+      { header: 'isAvailable', value: car => car.isAvailable },
+      { header: 'isRetired', value: car => car.isRetired },
+      { header: 'createdAt', value: car => car.createdAt }
+    ]
+  },
+  bookings: {
+    permission: 'bookings:read',
+    find: (req) => Booking.find(createdInRange(req.query))
+      .populate('user', 'email')
+      .populate('car', 'name vin licensePlate'),
+    columns: [
+      { header: 'id', value: booking => idOf(booking) },
+      { header: 'createdAt', value: booking => booking.createdAt },
+      { header: 'customer', value: booking => (booking.user ? booking.user.email : '') },
+      { header: 'car', value: booking => (booking.car ? booking.car.name : '') },
+      { header: 'carPlate', value: booking => booking.car && booking.car.licensePlate },
+      { header: 'startDate', value: booking => booking.startDate },
+      { header: 'endDate', value: booking => booking.endDate },
+      { header: 'pickupLocation', value: booking => booking.pickupLocation },
+      { header: 'returnLocation', value: booking => booking.returnLocation },
+      { header: 'status', value: booking => booking.status },
+      { header: 'currency', value: booking => booking.pricing && booking.pricing.currency },
+      { header: 'subtotal', value: booking => booking.pricing && booking.pricing.subtotal },
+      { header: 'tax', value: booking => booking.pricing && booking.pricing.tax },
+      { header: 'totalAmount', value: booking => booking.totalAmount },
+      { header: 'extraChargesTotal', value: booking => booking.extraChargesTotal },
+      { header: 'couponCode', value: booking => booking.couponCode },
+      { header: 'paymentStatus', value: booking => booking.paymentStatus },
+      { header: 'paidAt', value: booking => booking.paidAt },
+      { header: 'stripePaymentIntentId', value: booking => booking.stripePaymentIntentId },
+      { header: 'refundAmount', value: booking => booking.cancellation && booking.cancellation.refundAmount }
+    ]
+  },
+  users: {
+    permission: 'users:read',
+    find: (req) => User.find(createdInRange(req.query)),
+    columns: [
+      { header: 'id', value: user => idOf(user) },
+      { header: 'name', value: user => user.name },
+      { header: 'email', value: user => user.email },
+      { header: 'phone', value: user => user.phone },
+      { header: 'role', value: user => user.role },
+      { header: 'isVerified', value: user => user.isVerified },
+      { header: 'isGuest', value: user => user.isGuest },
+      { header: 'createdAt', value: user => user.createdAt }
+    ]
+  }
+};
+
+// Own properties only, so names like "constructor" are not treated as exports
+const findExport = (entity) => (Object.prototype.hasOwnProperty.call(EXPORTS, entity) ? EXPORTS[entity] : undefined);
+
+// @route   GET /api/admin/export/:entity
+// @desc    Stream cars, bookings or users as CSV or JSON, optionally filtered by creation date
+// @access  Private (cars:write for cars, bookings:read for bookings, users:read for users)
+router.get('/export/:entity', [auth], (req, res, next) => {
+  const definition = findExport(req.params.entity);
+  if (!definition) {
+    return res.status(404).json({
+      success: false,
+      message: 'Export not found'
+    });
+  }
+  requirePermission(definition.permission)(req, res, next);
+}, exportValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const definition = findExport(req.params.entity);
+    const cursor = definition.find(req).sort({ createdAt: 1 }).lean().cursor();
+
+    await streamExport(res, cursor, definition.columns, {
+      format: req.query.format,
+      filename: `${req.params.entity}-${new Date().toISOString().slice(0, 10)}`
+    });
+  } catch (error) {
+    // Part of the file was already sent; abort so the client sees a failed download, not a truncated one
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/reviews
+// @desc    Get all reviews, including hidden ones
+// @access  Private (reviews:moderate)
+router.get('/reviews', [auth, requirePermission('reviews:moderate')], async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+    if (req.query.car) query.car = req.query.car;
+    if (req.query.isHidden !== undefined) query.isHidden = req.query.isHidden === 'true';
+    if (req.query.maxRating) query.rating = { $lte: parseInt(req.query.maxRating) };
+
+    const reviews = await Review.find(query)
+      .populate('user', 'name email')
+      .populate('car', 'name brand model')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: reviews,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/reviews/:id/visibility
+// @desc    Hide or unhide a review
+// @access  Private (reviews:moderate)
+router.put('/reviews/:id/visibility', [auth, requirePermission('reviews:moderate'), audit('review.visibility', Review)], [
+  body('isHidden').isBoolean().withMessage('isHidden must be a boolean'),
+  body('reason').optional().isString().withMessage('Reason must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    review.isHidden = req.body.isHidden;
+    review.moderation = {
+      reason: req.body.reason,
+      moderatedBy: req.user.id,
+      moderatedAt: new Date()
+    };
+    await review.save();
+
+    res.json({
+      success: true,
+      message: review.isHidden ? 'Review hidden successfully' : 'Review restored successfully',
+      data: review
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/messages
+// @desc    Get contact form messages
+// @access  Private (messages:manage)
+router.get('/messages', [auth, requirePermission('messages:manage')], [
+  query('status').optional().isIn(ContactMessage.schema.path('status').enumValues).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.email) query.email = String(req.query.email).toLowerCase();
+
+    const messages = await ContactMessage.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await ContactMessage.countDocuments(query);
+    const unread = await ContactMessage.countDocuments({ status: 'new' });
+
+    res.json({
+      success: true,
+      data: messages,
+      unread,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/messages/:id
+// @desc    Get contact message by ID
+// @access  Private (messages:manage)
+router.get('/messages/:id', [auth, requirePermission('messages:manage')], async (req, res) => {
+  try {
+    const contactMessage = await ContactMessage.findById(req.params.id)
+      .populate('replies.repliedBy', 'name email');
+
+    if (!contactMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: contactMessage
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/messages/:id/read
+// @desc    Mark contact message as read
+// @access  Private (messages:manage)
+router.put('/messages/:id/read', [auth, requirePermission('messages:manage'), audit('message.read', ContactMessage)], async (req, res) => {
+  try {
+    const contactMessage = await ContactMessage.findById(req.params.id);
+
+    if (!contactMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    if (contactMessage.status === 'new') {
+      contactMessage.status = 'read';
+      contactMessage.readAt = new Date();
+      await contactMessage.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Message marked as read',
+      data: contactMessage
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/messages/:id/reply
+// @desc    Reply to a contact message by email
+// @access  Private (messages:manage)
+router.post('/messages/:id/reply', [auth, requirePermission('messages:manage'), audit('message.reply', ContactMessage)], [
+  body('message').trim().notEmpty().withMessage('Reply message is required')
+    .isLength({ max: 5000 }).withMessage('Reply cannot exceed 5000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const contactMessage = await ContactMessage.findById(req.params.id);
+
+    if (!contactMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    contactMessage.replies.push({ message: req.body.message, repliedBy: req.user.id });
+    contactMessage.status = 'replied';
+    if (!contactMessage.readAt) contactMessage.readAt = new Date();
+    await contactMessage.save();
+
+    sendEmail('contactReply', contactMessage.email, { contactMessage, reply: req.body.message });
+
+    res.json({
+      success: true,
+      message: 'Reply sent successfully',
+      data: contactMessage
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Coupon validation rules; on update every field is optional
+const couponValidation = (isUpdate = false) => [
+  body('code').optional(isUpdate).notEmpty().withMessage('Coupon code is required'),
+  body('discountType').optional(isUpdate).isIn(['percent', 'fixed']).withMessage('Discount type must be percent or fixed'),
+  body('value').optional(isUpdate).isFloat({ min: 0 }).withMessage('Discount value must be positive'),
+  body('validFrom').optional({ nullable: true }).isISO8601().withMessage('Valid from must be a valid date'),
+  body('validUntil').optional({ nullable: true }).isISO8601().withMessage('Valid until must be a valid date'),
+  body('maxRedemptions').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Max redemptions must be a positive integer'),
+  body('perUserLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Per-user limit must be a positive integer'),
+  body('eligibleCategories').optional().isArray().withMessage('Eligible categories must be an array'),
+  body('eligibleCategories.*').isIn(Car.schema.path('category').enumValues).withMessage('Invalid category'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// Fields admins may set on a coupon; redemptionCount is maintained by redemptions only
+const pickCouponFields = (source) => {
+  const fields = ['code', 'description', 'discountType', 'value', 'validFrom', 'validUntil',
+    'maxRedemptions', 'perUserLimit', 'eligibleCategories', 'isActive'];
+  return fields.reduce((result, field) => {
+    if (source[field] !== undefined) result[field] = source[field];
+    return result;
+  }, {});
+};
+
+// @route   GET /api/admin/coupons
+// @desc    Get all coupons
+// @access  Private (coupons:manage)
+router.get('/coupons', [auth, requirePermission('coupons:manage')], async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const coupons = await Coupon.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Coupon.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: coupons,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/coupons/:id
+// @desc    Get coupon by ID
+// @access  Private (coupons:manage)
+router.get('/coupons/:id', [auth, requirePermission('coupons:manage')], async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/coupons
+// @desc    Create coupon
+// @access  Private (coupons:manage)
+router.post('/coupons', [auth, requirePermission('coupons:manage'), audit('coupon.create', Coupon)], couponValidation(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existingCoupon = await Coupon.findOne({ code: String(req.body.code).trim().toUpperCase() });
+    if (existingCoupon) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code already exists'
+      });
+    }
+
+    const coupon = await Coupon.create(pickCouponFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    // A coupon with the same code created since the check above
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/coupons/:id
+// @desc    Update coupon
+// @access  Private (coupons:manage)
+router.put('/coupons/:id', [auth, requirePermission('coupons:manage'), audit('coupon.update', Coupon)], couponValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    coupon.set(pickCouponFields(req.body));
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/coupons/:id
+// @desc    Delete coupon
+// @access  Private (coupons:manage)
+router.delete('/coupons/:id', [auth, requirePermission('coupons:manage'), audit('coupon.delete', Coupon)], async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,15 +1,25 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const auth = require('../middleware/auth');
+const {
+  notifyRegistration,
+  notifyEmailVerification,
+  notifyPasswordReset,
+  notifyPasswordChanged,
+  notifyAccountClaim
+} = require('../services/notifications');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  SessionError
+} = require('../services/sessions');
+const { recordAudit } = require('../services/audit');
 const router = express.Router();
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
-};
-
 router.post('/register', [
   body('name').notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Please enter a valid email'),
@@ -29,7 +39,21 @@ router.post('/register', [
 
     const { name, email, password, phone, licenseNumber, address } = req.body;
 
-    const existingUser = await User.findOne({ email });
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+
+    // Guests already have a record for this email; they upgrade it through the
+    // emailed claim link so nobody can take over a guest's bookings
+    if (existingUser && existingUser.isGuest) {
+      const claimToken = existingUser.createAccountClaimToken();
+      await existingUser.save({ validateBeforeSave: false });
+      notifyAccountClaim(existingUser, claimToken);
+
+      return res.status(202).json({
+        success: true,
+        message: 'You have booked with us as a guest before. We sent you an email to finish creating your account.'
+      });
+    }
+
     if (existingUser) {
       return res.status(400).json({
         success: false,
@@ -37,7 +61,7 @@ router.post('/register', [
       });
     }
 
-    const user = await User.create({
+    const user = new User({
       name,
       email,
       password,
@@ -45,13 +69,18 @@ router.post('/register', [
       licenseNumber,
       address
     });
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
 
-    const token = generateToken(user._id);
+    notifyRegistration(user, verificationToken);
+
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -100,12 +129,122 @@ router.post('/login', [
       });
     }
 
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/claim
+// @desc    Email a link for upgrading a guest record to a full account
+// @access  Public
+router.post('/claim', [
+  body('email').isEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase(), isGuest: true });
+
+    if (user) {
+      const claimToken = user.createAccountClaimToken();
+      await user.save({ validateBeforeSave: false });
+      notifyAccountClaim(user, claimToken);
+    }
+
+    res.json({
+      success: true,
+      message: 'If you have booked with this email as a guest, a link to create your account has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/claim/:token
+// @desc    Upgrade a guest record to a full account, keeping its bookings
+// @access  Public
+router.post('/claim/:token', [
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('licenseNumber').notEmpty().withMessage('License number is required'),
+  body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+  body('phone').optional().notEmpty().withMessage('Phone cannot be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      isGuest: true,
+      accountClaimToken: User.hashToken(req.params.token),
+      accountClaimExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account link is invalid or has expired'
+      });
+    }
+
+    const { password, licenseNumber, name, phone, address } = req.body;
+
+    user.isGuest = false;
+    user.role = 'user';
+    user.password = password;
+    user.licenseNumber = licenseNumber;
+    if (name) user.name = name;
+    if (phone) user.phone = phone;
+    if (address) user.address = address;
+    // Following the emailed link proves ownership of the address
+    user.isVerified = true;
+    user.accountClaimToken = undefined;
+    user.accountClaimExpires = undefined;
+    await user.save();
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    recordAudit({ req, actor: user, action: 'user.account.claim', targetType: 'User', targetId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Account created successfully. Your previous bookings are now in your account.',
+      token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -122,4 +261,256 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, refreshToken } = await rotateSession(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session, or every session with { "allSessions": true }
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    if (req.body.allSessions === true) {
+      await revokeUserSessions(req.user._id);
+    } else {
+      await revokeSession(req.sessionId);
+    }
+
+    res.json({
+      success: true,
+      message: req.body.allSessions === true ? 'Logged out of all sessions' : 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (signed-in devices)
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase(), isGuest: false });
+
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+      notifyPasswordReset(user, token);
+    }
+
+    // Same answer whether or not the account exists, so emails cannot be enumerated
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password/:token', [
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(req.params.token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Following the emailed link proves ownership of the address
+    user.isVerified = true;
+    await user.save();
+
+    // Sign out everywhere; whoever requested the reset gets a fresh session
+    await revokeUserSessions(user._id);
+    const { token, refreshToken } = await createSession(user, req);
+
+    notifyPasswordChanged(user);
+    recordAudit({ req, actor: user, action: 'user.password.reset', targetType: 'User', targetId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully',
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/verify-email', auth, async (req, res) => {
+  try {
+    if (req.user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const token = req.user.createEmailVerificationToken();
+    await req.user.save({ validateBeforeSave: false });
+    notifyEmailVerification(req.user, token);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email/:token
+// @desc    Confirm email address
+// @access  Public
+router.post('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.isVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
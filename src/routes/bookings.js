@@ -4,6 +4,16 @@ const Booking = require('../models/Booking');
 const Car = require('../models/Car');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { getStripe, toMinorUnits, getCurrency } = require('../services/stripe');
+const { transitionBooking, canTransition, BookingTransitionError } = require('../services/bookingStatus');
+const { ReservationError } = require('../services/reservation');
+const { bookCar, modifyBooking } = require('../services/bookings');
+const { findOpenCharge } = require('../services/payments');
+const { processWaitlist } = require('../services/waitlist');
+const { notifyBookingCreated, notifyBookingModified, notifyGuestBookingAccess } = require('../services/notifications');
+const { createGuestAccessToken, verifyGuestAccessToken } = require('../services/guestAccess');
+const { CouponError } = require('../services/coupons');
 const moment = require('moment');
 const router = express.Router();
 
@@ -14,8 +24,9 @@ router.post('/', [auth], [
   body('car').notEmpty().withMessage('Car ID is required'),
   body('startDate').isISO8601().withMessage('Start date must be a valid date'),
   body('endDate').isISO8601().withMessage('End date must be a valid date'),
-  body('pickupLocation').notEmpty().withMessage('Pickup location is required'),
-  body('returnLocation').notEmpty().withMessage('Return location is required')
+  body('pickupBranch').isMongoId().withMessage('Pickup branch is required'),
+  body('returnBranch').isMongoId().withMessage('Return branch is required'),
+  body('couponCode').optional().isString().withMessage('Coupon code must be a string')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -27,7 +38,7 @@ router.post('/', [auth], [
       });
     }
 
-    const { car: carId, startDate, endDate, pickupLocation, returnLocation, specialRequests } = req.body;
+    const { car: carId, startDate, endDate, pickupBranch, returnBranch, specialRequests, couponCode } = req.body;
 
     // Validate dates
     const start = new Date(startDate);
@@ -64,42 +75,20 @@ router.post('/', [auth], [
       });
     }
 
-    // Check for conflicting bookings
-    const conflictingBookings = await Booking.find({
-      car: carId,
-      status: { $in: ['confirmed', 'active'] },
-      $or: [
-        {
-          startDate: { $lte: end },
-          endDate: { $gte: start }
-        }
-      ]
-    });
-
-    if (conflictingBookings.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Car is not available for the selected dates'
-      });
-    }
-
-    // Calculate total amount
-    const totalDays = Math.ceil((end.getTime() - start.getTime()) / (1000 * 3600 * 24));
-    const totalAmount = totalDays * car.pricePerDay;
-
-    // Create booking
-    const booking = await Booking.create({
+    // Price the booking, then check for conflicts and create it atomically
+    const booking = await bookCar({
       user: req.user.id,
-      car: carId,
+      car,
       startDate: start,
       endDate: end,
-      totalDays,
-      totalAmount,
-      pickupLocation,
-      returnLocation,
-      specialRequests
+      pickupBranch,
+      returnBranch,
+      specialRequests,
+      couponCode
     });
 
+    notifyBookingCreated(booking);
+
     // Populate car details
     await booking.populate('car', 'name brand model images pricePerDay');
 
@@ -109,6 +98,12 @@ router.post('/', [auth], [
       data: booking
     });
   } catch (error) {
+    if (error instanceof ReservationError || error instanceof CouponError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -176,8 +171,8 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
 
-    // Check if user owns the booking or is admin
-    if (booking.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user owns the booking or may see all bookings
+    if (booking.user._id.toString() !== req.user.id && !hasPermission(req.user, 'bookings:read')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this booking'
@@ -197,6 +192,83 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   PATCH /api/bookings/:id
+// @desc    Change dates, car or branches of a pending or confirmed booking and reprice it
+// @access  Private
+router.patch('/:id', [auth], [
+  body('car').optional().isMongoId().withMessage('Car must be a valid ID'),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('pickupBranch').optional().isMongoId().withMessage('Pickup branch must be a valid ID'),
+  body('returnBranch').optional().isMongoId().withMessage('Return branch must be a valid ID'),
+  body('note').optional().isString().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // Check if user owns the booking or may manage all bookings
+    if (booking.user.toString() !== req.user.id && !hasPermission(req.user, 'bookings:status')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change this booking'
+      });
+    }
+
+    const previous = { car: booking.car, startDate: booking.startDate, endDate: booking.endDate };
+    const result = await modifyBooking(booking, req.body, { actor: req.user.id, note: req.body.note });
+
+    notifyBookingModified(booking, result);
+
+    // The old car or dates may now be free for someone on the waitlist
+    if (result.changes.car || result.changes.startDate || result.changes.endDate) {
+      processWaitlist(previous.car, previous.startDate, previous.endDate);
+    }
+
+    await booking.populate('car', 'name brand model images pricePerDay');
+
+    res.json({
+      success: true,
+      message: booking.balanceDue > 0
+        ? 'Booking updated. Please pay the remaining balance.'
+        : 'Booking updated successfully',
+      data: booking,
+      payment: {
+        difference: result.difference,
+        refunded: result.refunded,
+        balanceDue: booking.balanceDue
+      }
+    });
+  } catch (error) {
+    if (error instanceof ReservationError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // @route   POST /api/bookings/guest
 // @desc    Create guest booking (no authentication required)
 // @access  Public
@@ -204,11 +276,12 @@ router.post('/guest', [
   body('car').notEmpty().withMessage('Car ID is required'),
   body('startDate').isISO8601().withMessage('Start date must be a valid date'),
   body('endDate').isISO8601().withMessage('End date must be a valid date'),
-  body('pickupLocation').notEmpty().withMessage('Pickup location is required'),
-  body('returnLocation').notEmpty().withMessage('Return location is required'),
+  body('pickupBranch').isMongoId().withMessage('Pickup branch is required'),
+  body('returnBranch').isMongoId().withMessage('Return branch is required'),
   body('guestInfo.name').notEmpty().withMessage('Guest name is required'),
   body('guestInfo.email').isEmail().withMessage('Valid email is required'),
-  body('guestInfo.phone').notEmpty().withMessage('Phone number is required')
+  body('guestInfo.phone').notEmpty().withMessage('Phone number is required'),
+  body('couponCode').optional().isString().withMessage('Coupon code must be a string')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -224,10 +297,11 @@ router.post('/guest', [
       car: carId, 
       startDate, 
       endDate, 
-      pickupLocation, 
-      returnLocation, 
+      pickupBranch,
+      returnBranch,
       specialRequests,
-      guestInfo 
+      guestInfo,
+      couponCode
     } = req.body;
 
     // Validate dates
@@ -265,31 +339,15 @@ router.post('/guest', [
       });
     }
 
-    // Check for conflicting bookings
-    const conflictingBookings = await Booking.find({
-      car: carId,
-      status: { $in: ['confirmed', 'active', 'pending'] },
-      $or: [
-        {
-          startDate: { $lte: end },
-          endDate: { $gte: start }
-        }
-      ]
-    });
+    // Create or find guest user
+    let guestUser = await User.findOne({ email: guestInfo.email.toLowerCase() });
 
-    if (conflictingBookings.length > 0) {
+    if (guestUser && !guestUser.isGuest) {
       return res.status(400).json({
         success: false,
-        message: 'Car is not available for the selected dates'
+        message: 'An account exists for this email. Please log in to book.'
       });
     }
-
-    // Calculate total amount
-    const totalDays = Math.ceil((end.getTime() - start.getTime()) / (1000 * 3600 * 24));
-    const totalAmount = totalDays * car.pricePerDay;
-
-    // Create or find guest user
-    let guestUser = await User.findOne({ email: guestInfo.email, isGuest: true });
     
     if (!guestUser) {
       guestUser = await User.create({
@@ -306,17 +364,16 @@ router.post('/guest', [
       await guestUser.save();
     }
 
-    // Create booking
-    const booking = await Booking.create({
+    // Price the booking, then check for conflicts and create it atomically
+    const booking = await bookCar({
       user: guestUser._id,
-      car: carId,
+      car,
       startDate: start,
       endDate: end,
-      totalDays,
-      totalAmount,
-      pickupLocation,
-      returnLocation,
+      pickupBranch,
+      returnBranch,
       specialRequests,
+      couponCode,
       status: 'pending',
       isGuestBooking: true,
       guestInfo: {
@@ -326,6 +383,8 @@ router.post('/guest', [
       }
     });
 
+    notifyBookingCreated(booking);
+
     // Populate car details
     await booking.populate('car', 'name brand model images pricePerDay category');
 
@@ -335,6 +394,12 @@ router.post('/guest', [
       data: booking
     });
   } catch (error) {
+    if (error instanceof ReservationError || error instanceof CouponError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Guest booking error:', error);
     res.status(500).json({
       success: false,
@@ -344,7 +409,352 @@ router.post('/guest', [
   }
 });
 
+// Resolve the guest user a magic-link token belongs to
+const findGuestByToken = async (token) => {
+  const userId = verifyGuestAccessToken(token);
+  return userId ? User.findOne({ _id: userId, isGuest: true }) : null;
+};
+
+// @route   POST /api/bookings/guest/lookup
+// @desc    Email a guest a magic link to view or cancel their bookings
+// @access  Public
+router.post('/guest/lookup', [
+  body('email').isEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const guestUser = await User.findOne({ email: req.body.email.toLowerCase(), isGuest: true });
+
+    if (guestUser) {
+      notifyGuestBookingAccess(guestUser, createGuestAccessToken(guestUser));
+    }
+
+    // Same answer either way, so emails cannot be enumerated
+    res.json({
+      success: true,
+      message: 'If we have bookings for this email, a link to manage them has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/bookings/guest/access/:token
+// @desc    Get a guest's bookings through a magic link
+// @access  Public (magic link)
+router.get('/guest/access/:token', async (req, res) => {
+  try {
+    const guestUser = await findGuestByToken(req.params.token);
+
+    if (!guestUser) {
+      return res.status(401).json({
+        success: false,
+        message: 'Link is invalid or has expired'
+      });
+    }
+
+    const bookings = await Booking.find({ user: guestUser._id })
+      .populate('car', 'name brand model images category pricePerDay')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: bookings
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/bookings/guest/access/:token/:id/cancel
+// @desc    Cancel a guest booking through a magic link
+// @access  Public (magic link)
+router.put('/guest/access/:token/:id/cancel', [
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const guestUser = await findGuestByToken(req.params.token);
+
+    if (!guestUser) {
+      return res.status(401).json({
+        success: false,
+        message: 'Link is invalid or has expired'
+      });
+    }
+
+    const booking = await Booking.findOne({ _id: req.params.id, user: guestUser._id });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!canTransition(booking.status, 'cancelled')) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a ${booking.status} booking`
+      });
+    }
+
+    await transitionBooking(booking, 'cancelled', { actor: guestUser._id, note: req.body.reason });
+
+    res.json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      data: booking
+    });
+  } catch (error) {
+    if (error instanceof BookingTransitionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Create (or reuse) a PaymentIntent for the balance left after a booking
+// change raised the price of a paid booking or check-in added extra charges
+const payBalance = async (booking) => {
+  const stripe = getStripe();
+  const amount = toMinorUnits(booking.balanceDue);
+  const currency = getCurrency();
+
+  let adjustment = findOpenCharge(booking);
+  let paymentIntent;
+
+  if (adjustment) {
+    paymentIntent = await stripe.paymentIntents.retrieve(adjustment.stripePaymentIntentId);
+
+    if (['canceled', 'succeeded'].includes(paymentIntent.status)) {
+      paymentIntent = null;
+    } else if (paymentIntent.amount !== amount) {
+      paymentIntent = await stripe.paymentIntents.update(paymentIntent.id, { amount });
+    }
+  }
+
+  if (!paymentIntent) {
+    paymentIntent = await stripe.paymentIntents.create({
+      amount,
+      currency,
+      automatic_payment_methods: { enabled: true },
+      metadata: { bookingId: booking._id.toString(), adjustment: 'true' }
+    }, {
+      idempotencyKey: `booking-${booking._id}-balance-${booking.paymentAdjustments.length}-${amount}`
+    });
+
+    booking.paymentAdjustments.push({
+      kind: 'charge',
+      stripePaymentIntentId: paymentIntent.id,
+      reason: booking.status === 'completed' ? 'Extra charges' : 'Booking modified'
+    });
+    adjustment = booking.paymentAdjustments[booking.paymentAdjustments.length - 1];
+  }
+
+  adjustment.amount = booking.balanceDue;
+  adjustment.status = 'pending';
+  await booking.save();
+
+  return {
+    bookingId: booking._id,
+    paymentIntentId: paymentIntent.id,
+    clientSecret: paymentIntent.client_secret,
+    amount: booking.balanceDue,
+    currency
+  };
+};
+
+// @route   POST /api/bookings/:id/pay
+// @desc    Create (or reuse) a Stripe PaymentIntent for a booking, or for the balance still due on a paid one
+// @access  Private
+router.post('/:id/pay', auth, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // Check if user owns the booking or may manage all bookings
+    if (booking.user.toString() !== req.user.id && !hasPermission(req.user, 'bookings:status')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to pay for this booking'
+      });
+    }
+
+    // A change after payment raised the price, or check-in added extra charges
+    const owesBalance = booking.paymentStatus === 'paid' && booking.balanceDue > 0;
+
+    if (!['pending', 'confirmed'].includes(booking.status) && !(booking.status === 'completed' && owesBalance)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot pay for a ${booking.status} booking`
+      });
+    }
+
+    // Collect the balance separately from the original payment
+    if (owesBalance) {
+      const payment = await payBalance(booking);
+      return res.json({
+        success: true,
+        data: payment
+      });
+    }
+
+    if (booking.paymentStatus === 'paid' || booking.paymentStatus === 'refunded') {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking has already been paid'
+      });
+    }
+
+    const stripe = getStripe();
+    const amount = toMinorUnits(booking.totalAmount);
+    const currency = getCurrency();
+    let paymentIntent;
+
+    // Reuse the existing PaymentIntent while it can still be completed
+    if (booking.stripePaymentIntentId) {
+      paymentIntent = await stripe.paymentIntents.retrieve(booking.stripePaymentIntentId);
+
+      if (['canceled', 'succeeded'].includes(paymentIntent.status)) {
+        paymentIntent = null;
+      } else if (paymentIntent.amount !== amount) {
+        paymentIntent = await stripe.paymentIntents.update(paymentIntent.id, { amount });
+      }
+    }
+
+    if (!paymentIntent) {
+      paymentIntent = await stripe.paymentIntents.create({
+        amount,
+        currency,
+        automatic_payment_methods: { enabled: true },
+        metadata: { bookingId: booking._id.toString() }
+      }, {
+        idempotencyKey: `booking-${booking._id}-${amount}-${booking.stripePaymentIntentId || 'new'}`
+      });
+    }
+
+    booking.stripePaymentIntentId = paymentIntent.id;
+    booking.paymentMethod = 'card';
+    if (booking.paymentStatus === 'failed') booking.paymentStatus = 'pending';
+    await booking.save();
+
+    res.json({
+      success: true,
+      data: {
+        bookingId: booking._id,
+        paymentIntentId: paymentIntent.id,
+        clientSecret: paymentIntent.client_secret,
+        amount: booking.totalAmount,
+        currency
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // @route   PUT /api/bookings/:id/cancel
-// @desc    Cancel booking
-//
+// @desc    Cancel booking and refund according to the refund policy
+// @access  Private
+router.put('/:id/cancel', [auth], [
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // Check if user owns the booking or may manage all bookings
+    if (booking.user.toString() !== req.user.id && !hasPermission(req.user, 'bookings:status')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this booking'
+      });
+    }
+
+    if (!canTransition(booking.status, 'cancelled')) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a ${booking.status} booking`
+      });
+    }
+
+    await transitionBooking(booking, 'cancelled', { actor: req.user.id, note: req.body.reason });
+
+    res.json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      data: booking
+    });
+  } catch (error) {
+    if (error instanceof BookingTransitionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,248 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Branch = require('../models/Branch');
+const Booking = require('../models/Booking');
+const Car = require('../models/Car');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const audit = require('../middleware/audit');
+const router = express.Router();
+
+// Branch validation rules; on update every field is optional
+const branchValidation = (isUpdate = false) => [
+  body('name').optional(isUpdate).notEmpty().withMessage('Branch name is required'),
+  body('code').optional(isUpdate).notEmpty().withMessage('Branch code is required'),
+  body('address.city').optional(isUpdate).notEmpty().withMessage('City is required'),
+  body('location.coordinates').optional(isUpdate).isArray({ min: 2, max: 2 }).withMessage('Coordinates must be [longitude, latitude]'),
+  body('location.coordinates.0').optional(isUpdate).isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('location.coordinates.1').optional(isUpdate).isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('timezone').optional(isUpdate).notEmpty().withMessage('Timezone is required'),
+  body('email').optional().isEmail().withMessage('Please enter a valid email'),
+  body('openingHours').optional().isArray().withMessage('Opening hours must be an array'),
+  body('openingHours.*.day').isInt({ min: 0, max: 6 }).withMessage('Day must be between 0 (Sunday) and 6 (Saturday)'),
+  body('openingHours.*.open').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Opening time must be HH:mm'),
+  body('openingHours.*.close').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Closing time must be HH:mm'),
+  body('closures').optional().isArray().withMessage('Closures must be an array'),
+  body('closures.*.date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Closure date must be YYYY-MM-DD'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+const pickBranchFields = (source) => {
+  const fields = ['name', 'code', 'address', 'location', 'phone', 'email', 'timezone', 'openingHours', 'closures', 'isActive'];
+  return fields.reduce((result, field) => {
+    if (source[field] !== undefined) result[field] = source[field];
+    return result;
+  }, {});
+};
+
+// Why `branch` cannot be deactivated yet: cars based there, or bookings that still pick up
+// or return there. Returns undefined when it can be.
+const deactivationBlocker = async (branch) => {
+  const cars = await Car.countDocuments({ branch: branch._id, isRetired: { $ne: true } });
+  if (cars > 0) return `Branch is home to ${cars} car(s); move them before deactivating it`;
+
+  const bookings = await Booking.countDocuments({
+    $or: [{ pickupBranch: branch._id }, { returnBranch: branch._id }],
+    status: { $in: ['pending', 'confirmed', 'active'] }
+  });
+  if (bookings > 0) return `Branch has ${bookings} upcoming booking(s) picking up or returning there; move them before deactivating it`;
+};
+
+// @route   GET /api/branches
+// @desc    Get active branches
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const query = { isActive: true };
+    if (req.query.city) query['address.city'] = req.query.city;
+
+    const branches = await Branch.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: branches
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/branches/:id
+// @desc    Get branch by ID
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: branch
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/branches
+// @desc    Create branch
+// @access  Private (branches:manage)
+router.post('/', [auth, requirePermission('branches:manage'), audit('branch.create', Branch)], branchValidation(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const branch = await Branch.create(pickBranchFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Branch created successfully',
+      data: branch
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Branch code already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/branches/:id
+// @desc    Update branch
+// @access  Private (branches:manage)
+router.put('/:id', [auth, requirePermission('branches:manage'), audit('branch.update', Branch)], branchValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    if (req.body.isActive === false && branch.isActive) {
+      const blocker = await deactivationBlocker(branch);
+      if (blocker) {
+        return res.status(400).json({
+          success: false,
+          message: blocker
+        });
+      }
+    }
+
+    branch.set(pickBranchFields(req.body));
+    const renamed = branch.isModified('name');
+    await branch.save();
+
+    // Cars keep the branch name in `location` for text search
+    if (renamed) await Car.updateMany({ branch: branch._id }, { location: branch.name });
+
+    res.json({
+      success: true,
+      message: 'Branch updated successfully',
+      data: branch
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Branch code already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/branches/:id
+// @desc    Deactivate branch. Refused while cars are based there or bookings still use it.
+// @access  Private (branches:manage)
+router.delete('/:id', [auth, requirePermission('branches:manage'), audit('branch.deactivate', Branch)], async (req, res) => {
+  try {
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    const blocker = await deactivationBlocker(branch);
+    if (blocker) {
+      return res.status(400).json({
+        success: false,
+        message: blocker
+      });
+    }
+
+    branch.isActive = false;
+    await branch.save();
+
+    res.json({
+      success: true,
+      message: 'Branch deactivated successfully',
+      data: branch
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,22 @@ const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const Car = require('../models/Car');
 const Booking = require('../models/Booking');
+const Review = require('../models/Review');
+const Branch = require('../models/Branch');
+const Maintenance = require('../models/Maintenance');
+const { findConflicts, findBookedCarIds, ReservationError } = require('../services/reservation');
+const { scheduleMaintenance, recordService } = require('../services/maintenance');
+const { processWaitlist } = require('../services/waitlist');
+const { calculatePrice } = require('../services/pricing');
+const { getCarCalendar } = require('../services/calendar');
+const { findApplicableCoupon, CouponError } = require('../services/coupons');
+const { escapeRegex } = require('../utils/regex');
+const { parseCsv } = require('../utils/csv');
+const { recordAudit } = require('../services/audit');
 const auth = require('../middleware/auth');
-const admin = require('../middleware/admin');
+const requirePermission = require('../middleware/permission');
+const audit = require('../middleware/audit');
+const { uploadImages, toUploadUrl, removeUpload } = require('../middleware/upload');
 const router = express.Router();
 
 // @route   GET /api/cars
@@ -13,7 +27,13 @@ router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('minPrice').optional().isFloat({ min: 0 }).withMessage('Min price must be positive'),
-  query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Max price must be positive')
+  query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Max price must be positive'),
+  query('branch').optional().isMongoId().withMessage('Invalid branch ID'),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('radiusKm').optional().isFloat({ min: 0.1, max: 1000 }).withMessage('Radius must be between 0.1 and 1000 km'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -25,6 +45,17 @@ router.get('/', [
       });
     }
 
+    const hasDates = req.query.startDate !== undefined || req.query.endDate !== undefined;
+    const start = new Date(req.query.startDate);
+    const end = new Date(req.query.endDate);
+
+    if (hasDates && !(end > start)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both startDate and endDate are required, and endDate must be after startDate'
+      });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
@@ -36,7 +67,8 @@ router.get('/', [
     if (req.query.category) query.category = req.query.category;
     if (req.query.transmission) query.transmission = req.query.transmission;
     if (req.query.fuelType) query.fuelType = req.query.fuelType;
-    if (req.query.location) query.location = new RegExp(req.query.location, 'i');
+    if (req.query.location) query.location = new RegExp(escapeRegex(req.query.location), 'i');
+    if (req.query.branch) query.branch = req.query.branch;
     
     // Price range
     if (req.query.minPrice || req.query.maxPrice) {
@@ -53,6 +85,11 @@ router.get('/', [
       query.$text = { $search: req.query.search };
     }
 
+    // Only cars free for the whole requested range
+    if (hasDates) {
+      query._id = { $nin: await findBookedCarIds(start, end) };
+    }
+
     // Sort options
     let sort = {};
     switch (req.query.sortBy) {
@@ -72,14 +109,54 @@ router.get('/', [
         sort.createdAt = -1;
     }
 
-    const cars = await Car.find(query)
-      .sort(sort)
-      .skip(skip)
-      .limit(limit)
-      .lean();
+    let cars;
+
+    if (req.query.lat !== undefined && req.query.lng !== undefined) {
+      // Near me: find branches within the radius (closest first), then rank
+      // cars by the distance of their home branch
+      const radiusKm = parseFloat(req.query.radiusKm) || 50;
+      const branches = await Branch.aggregate([
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates: [parseFloat(req.query.lng), parseFloat(req.query.lat)] },
+            distanceField: 'distance',
+            maxDistance: radiusKm * 1000,
+            spherical: true,
+            query: { isActive: true }
+          }
+        },
+        { $project: { distance: 1 } }
+      ]);
+
+      const branchIds = branches.map(branch => branch._id);
+      const distancesKm = branches.map(branch => Math.round(branch.distance / 100) / 10);
+      query.branch = { $in: query.branch ? branchIds.filter(id => id.equals(query.branch)) : branchIds };
+
+      cars = await Car.aggregate([
+        { $match: query },
+        { $addFields: { distanceKm: { $arrayElemAt: [distancesKm, { $indexOfArray: [branchIds, '$branch'] }] } } },
+        { $sort: { distanceKm: 1, ...sort } },
+        { $skip: skip },
+        { $limit: limit }
+      ]);
+    } else {
+      cars = await Car.find(query)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .lean();
+    }
 
     const total = await Car.countDocuments(query);
 
+    // Price each car for the requested range
+    if (hasDates) {
+      cars = cars.map(car => {
+        const { totalDays, total: quotedTotal, currency } = calculatePrice({ car, startDate: start, endDate: end });
+        return { ...car, quote: { totalDays, total: quotedTotal, currency } };
+      });
+    }
+
     res.json({
       success: true,
       data: cars,
@@ -155,26 +232,18 @@ router.get('/:id/availability', [
       });
     }
 
-    // Check for overlapping bookings
-    const conflictingBookings = await Booking.find({
-      car: carId,
-      status: { $in: ['confirmed', 'active'] },
-      $or: [
-        {
-          startDate: { $lte: new Date(endDate) },
-          endDate: { $gte: new Date(startDate) }
-        }
-      ]
-    });
+    // Check for overlapping bookings and maintenance
+    const conflictingBookings = await findConflicts(carId, new Date(startDate), new Date(endDate));
 
     const isAvailable = conflictingBookings.length === 0 && car.isAvailable;
 
     res.json({
       success: true,
       available: isAvailable,
-      conflictingDates: conflictingBookings.map(booking => ({
-        startDate: booking.startDate,
-        endDate: booking.endDate
+      conflictingDates: conflictingBookings.map(conflict => ({
+        startDate: conflict.startDate,
+        endDate: conflict.endDate,
+        reason: conflict instanceof Maintenance ? 'maintenance' : 'booking'
       }))
     });
   } catch (error) {
@@ -186,20 +255,235 @@ router.get('/:id/availability', [
   }
 });
 
-// @route   POST /api/cars
-// @desc    Create new car (Admin only)
-// @access  Private/Admin
-router.post('/', [auth, admin], [
-  body('name').notEmpty().withMessage('Car name is required'),
-  body('brand').notEmpty().withMessage('Brand is required'),
-  body('model').notEmpty().withMessage('Model is required'),
-  body('year').isInt({ min: 1900, max: new Date().getFullYear() + 1 }).withMessage('Invalid year'),
-  body('category').isIn(['economy', 'compact', 'midsize', 'fullsize', 'premium', 'luxury', 'suv', 'van', 'sports', 'electric']).withMessage('Invalid category'),
-  body('pricePerDay').isFloat({ min: 0 }).withMessage('Price per day must be positive'),
-  body('seats').isInt({ min: 1, max: 15 }).withMessage('Seats must be between 1 and 15'),
-  body('transmission').isIn(['manual', 'automatic', 'cvt']).withMessage('Invalid transmission type'),
-  body('fuelType').isIn(['gasoline', 'diesel', 'electric', 'hybrid']).withMessage('Invalid fuel type'),
-  body('location').notEmpty().withMessage('Location is required')
+// @route   GET /api/cars/:id/calendar
+// @desc    Get day-by-day status (booked, pending, maintenance, free) for a month
+// @access  Public
+router.get('/:id/calendar', [
+  query('month').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be in YYYY-MM format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const car = await Car.findById(req.params.id);
+    if (!car) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car not found'
+      });
+    }
+
+    const days = await getCarCalendar(car, req.query.month);
+
+    res.json({
+      success: true,
+      data: {
+        car: car._id,
+        month: req.query.month,
+        days
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/cars/:id/quote
+// @desc    Get an itemized price quote for given dates
+// @access  Public
+router.get('/:id/quote', [
+  query('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').isISO8601().withMessage('End date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { startDate, endDate, pickupBranch, returnBranch, couponCode } = req.query;
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    if (end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after start date'
+      });
+    }
+
+    const car = await Car.findById(req.params.id);
+    if (!car) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car not found'
+      });
+    }
+
+    const coupon = couponCode ? await findApplicableCoupon(couponCode, { car }) : null;
+
+    res.json({
+      success: true,
+      data: calculatePrice({
+        car,
+        startDate: start,
+        endDate: end,
+        pickupBranch: pickupBranch || car.branch,
+        returnBranch: returnBranch || pickupBranch || car.branch,
+        coupon
+      })
+    });
+  } catch (error) {
+    if (error instanceof CouponError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/cars/:id/reviews
+// @desc    Get visible reviews for a car
+// @access  Public
+router.get('/:id/reviews', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { car: req.params.id, isHidden: false };
+
+    const reviews = await Review.find(query)
+      .populate('user', 'name')
+      .select('-moderation')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: reviews,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/cars/:id/reviews
+// @desc    Review a car for a completed booking
+// @access  Private
+router.post('/:id/reviews', [auth], [
+  body('booking').notEmpty().withMessage('Booking ID is required'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('comment').optional().isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.body.booking);
+
+    if (!booking || booking.car.toString() !== req.params.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found for this car'
+      });
+    }
+
+    if (booking.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review this booking'
+      });
+    }
+
+    if (booking.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only completed bookings can be reviewed'
+      });
+    }
+
+    const existingReview = await Review.findOne({ booking: booking._id });
+    if (existingReview) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking has already been reviewed'
+      });
+    }
+
+    const review = await Review.create({
+      car: booking.car,
+      booking: booking._id,
+      user: req.user.id,
+      rating: req.body.rating,
+      comment: req.body.comment
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Review created successfully',
+      data: review
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking has already been reviewed'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/cars/:id/reviews/:reviewId
+// @desc    Edit own review
+// @access  Private
+router.put('/:id/reviews/:reviewId', [auth], [
+  body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('comment').optional().isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -211,13 +495,717 @@ router.post('/', [auth, admin], [
       });
     }
 
-    const car = await Car.create(req.body);
+    const review = await Review.findOne({ _id: req.params.reviewId, car: req.params.id });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this review'
+      });
+    }
+
+    if (req.body.rating !== undefined) review.rating = req.body.rating;
+    if (req.body.comment !== undefined) review.comment = req.body.comment;
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Review updated successfully',
+      data: review
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Car validation rules; on PATCH every field is optional
+const carValidation = (isPartial = false) => [
+  body('name').optional(isPartial).notEmpty().withMessage('Car name is required'),
+  body('brand').optional(isPartial).notEmpty().withMessage('Brand is required'),
+  body('model').optional(isPartial).notEmpty().withMessage('Model is required'),
+  body('year').optional(isPartial).isInt({ min: 1900, max: new Date().getFullYear() + 1 }).withMessage('Invalid year'),
+  body('category').optional(isPartial).isIn(['economy', 'compact', 'midsize', 'fullsize', 'premium', 'luxury', 'suv', 'van', 'sports', 'electric']).withMessage('Invalid category'),
+  body('pricePerDay').optional(isPartial).isFloat({ min: 0 }).withMessage('Price per day must be positive'),
+  body('seats').optional(isPartial).isInt({ min: 1, max: 15 }).withMessage('Seats must be between 1 and 15'),
+  body('transmission').optional(isPartial).isIn(['manual', 'automatic', 'cvt']).withMessage('Invalid transmission type'),
+  body('fuelType').optional(isPartial).isIn(['gasoline', 'diesel', 'electric', 'hybrid']).withMessage('Invalid fuel type'),
+  body('mileage').optional(isPartial).isFloat({ min: 0 }).withMessage('Mileage must be positive'),
+  body('branch').optional(isPartial).isMongoId().withMessage('Home branch is required'),
+  body('vin').optional().isLength({ min: 11, max: 17 }).withMessage('VIN must be 11-17 letters and digits')
+    .isAlphanumeric().withMessage('VIN must be 11-17 letters and digits'),
+  body('licensePlate').optional().trim().isLength({ min: 1, max: 15 }).withMessage('License plate cannot exceed 15 characters'),
+  body('isAvailable').optional().isBoolean().withMessage('isAvailable must be a boolean')
+];
+
+// Fields admins may edit directly; images, rating and retirement have their own endpoints
+const pickCarFields = (source) => {
+  const fields = ['name', 'brand', 'model', 'year', 'category', 'pricePerDay', 'seats', 'transmission',
+    'fuelType', 'mileage', 'features', 'description', 'isAvailable', 'branch', 'vin', 'licensePlate'];
+  return fields.reduce((result, field) => {
+    if (source[field] !== undefined) result[field] = source[field];
+    return result;
+  }, {});
+};
+
+// @route   POST /api/cars
+// @desc    Create new car
+// @access  Private (cars:write)
+router.post('/', [auth, requirePermission('cars:write'), audit('car.create', Car)], carValidation(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const branch = await Branch.findOne({ _id: req.body.branch, isActive: true });
+    if (!branch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Home branch not found'
+      });
+    }
+
+    const car = await Car.create({ ...pickCarFields(req.body), images: req.body.images, location: branch.name });
 
     res.status(201).json({
       success: true,
       message: 'Car created successfully',
       data: car
     });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A car with this VIN or license plate already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Normalize an import row: CSV cells are strings, and features may be given
+// as a "|"-separated list
+const normalizeImportRow = (row) => {
+  const normalized = { ...row };
+  if (typeof normalized.features === 'string') {
+    normalized.features = normalized.features.split('|').map(feature => feature.trim()).filter(Boolean);
+  }
+  ['vin', 'licensePlate'].forEach(key => {
+    if (typeof normalized[key] === 'string') normalized[key] = normalized[key].trim().toUpperCase();
+  });
+  return normalized;
+};
+
+// Validate one import row with the create rules and resolve the car it updates, if any
+const validateImportRow = async (row, branches) => {
+  const context = { body: row };
+  await Promise.all(carValidation().map(chain => chain.run(context)));
+  const errors = validationResult(context).array().map(error => ({ field: error.path, message: error.msg }));
+
+  if (!row.vin && !row.licensePlate) {
+    errors.push({ field: 'vin', message: 'VIN or license plate is required' });
+  }
+  if (row.branch && !branches.has(String(row.branch))) {
+    errors.push({ field: 'branch', message: 'Home branch not found' });
+  }
+  if (errors.length > 0) return { errors };
+
+  const match = [];
+  if (row.vin) match.push({ vin: row.vin });
+  if (row.licensePlate) match.push({ licensePlate: row.licensePlate });
+  const existing = await Car.find({ $or: match });
+
+  if (existing.length > 1) {
+    return { errors: [{ field: 'vin', message: 'VIN and license plate match different cars' }] };
+  }
+  if (existing[0] && existing[0].isRetired) {
+    return { errors: [{ field: 'vin', message: 'Cannot update a retired car' }] };
+  }
+
+  return { errors, car: existing[0] };
+};
+
+// @route   POST /api/cars/import
+// @desc    Bulk create or update cars from CSV (text/csv) or JSON (array or { cars: [...] }).
+//          Cars are matched on VIN, then license plate. Pass dryRun=true to only validate.
+// @access  Private (cars:write)
+router.post('/import', [auth, requirePermission('cars:write'), express.text({ type: 'text/csv', limit: '5mb' })], [
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let rows;
+    if (typeof req.body === 'string') {
+      rows = parseCsv(req.body);
+    } else {
+      rows = Array.isArray(req.body) ? req.body : req.body.cars;
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a CSV document or a JSON array of cars'
+      });
+    }
+
+    const maxRows = 1000;
+    if (rows.length > maxRows) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot import more than ${maxRows} cars at once`
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const branches = new Map(
+      (await Branch.find({ isActive: true }).select('name')).map(branch => [String(branch._id), branch])
+    );
+    const seenKeys = new Set();
+    const results = [];
+
+    for (const [index, source] of rows.entries()) {
+      const row = normalizeImportRow(source || {});
+      const result = { row: index + 1, vin: row.vin, licensePlate: row.licensePlate };
+      const { errors: rowErrors, car } = await validateImportRow(row, branches);
+
+      // The same car must not appear twice in one file
+      const keys = [row.vin && `vin:${row.vin}`, row.licensePlate && `plate:${row.licensePlate}`].filter(Boolean);
+      if (keys.some(key => seenKeys.has(key))) {
+        rowErrors.push({ field: 'vin', message: 'Duplicate VIN or license plate in this import' });
+      }
+      keys.forEach(key => seenKeys.add(key));
+
+      if (rowErrors.length > 0) {
+        results.push({ ...result, action: 'error', errors: rowErrors });
+        continue;
+      }
+
+      result.action = car ? 'update' : 'create';
+      if (!dryRun) {
+        try {
+          const before = car ? car.toObject() : null;
+          const target = car || new Car();
+          target.set({ ...pickCarFields(row), location: branches.get(String(row.branch)).name });
+          await target.save();
+
+          // A car back in service is offered to its waitlist, as on PUT and PATCH
+          if (car && !before.isAvailable && target.isAvailable) processWaitlist(target._id);
+
+          result.car = target._id;
+          recordAudit({
+            req,
+            action: car ? 'car.import.update' : 'car.import.create',
+            targetType: 'Car',
+            targetId: target._id,
+            before,
+            after: target.toObject()
+          });
+        } catch (error) {
+          result.action = 'error';
+          result.errors = [{
+            message: error.code === 11000 ? 'A car with this VIN or license plate already exists' : error.message
+          }];
+        }
+      }
+      results.push(result);
+    }
+
+    const summary = ['create', 'update', 'error'].reduce((counts, action) => {
+      counts[action] = results.filter(result => result.action === action).length;
+      return counts;
+    }, {});
+
+    res.json({
+      success: summary.error === 0,
+      message: dryRun ? 'Dry run completed, no cars were saved' : 'Import completed',
+      dryRun,
+      summary,
+      data: results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Shared handler for PUT (full) and PATCH (partial) updates
+const updateCar = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const car = await Car.findById(req.params.id);
+
+    if (!car) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car not found'
+      });
+    }
+
+    if (car.isRetired) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot update a retired car'
+      });
+    }
+
+    const updates = pickCarFields(req.body);
+
+    if (updates.branch && String(updates.branch) !== String(car.branch)) {
+      const branch = await Branch.findOne({ _id: updates.branch, isActive: true });
+      if (!branch) {
+        return res.status(400).json({
+          success: false,
+          message: 'Home branch not found'
+        });
+      }
+      updates.location = branch.name;
+    }
+
+    const wasAvailable = car.isAvailable;
+    car.set(updates);
+    await car.save();
+
+    // A car back in service can be offered to everyone waiting for it
+    if (!wasAvailable && car.isAvailable) processWaitlist(car._id);
+
+    res.json({
+      success: true,
+      message: 'Car updated successfully',
+      data: car
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A car with this VIN or license plate already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @route   PUT /api/cars/:id
+// @desc    Replace car details
+// @access  Private (cars:write)
+router.put('/:id', [auth, requirePermission('cars:write'), audit('car.update', Car)], carValidation(), updateCar);
+
+// @route   PATCH /api/cars/:id
+// @desc    Update some car details
+// @access  Private (cars:write)
+router.patch('/:id', [auth, requirePermission('cars:write'), audit('car.update', Car)], carValidation(true), updateCar);
+
+// @route   DELETE /api/cars/:id
+// @desc    Retire car. Refused while the car has upcoming bookings.
+// @access  Private (cars:write)
+router.delete('/:id', [auth, requirePermission('cars:write'), audit('car.retire', Car)], async (req, res) => {
+  try {
+    const car = await Car.findById(req.params.id);
+
+    if (!car) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car not found'
+      });
+    }
+
+    if (car.isRetired) {
+      return res.status(400).json({
+        success: false,
+        message: 'Car is already retired'
+      });
+    }
+
+    // Pending bookings count while their hold still reserves the car
+    const now = new Date();
+    const upcomingBookings = await Booking.countDocuments({
+      car: car._id,
+      endDate: { $gte: now },
+      $or: [
+        { status: { $in: ['confirmed', 'active'] } },
+        { status: 'pending', $or: [{ holdExpiresAt: { $gt: now } }, { holdExpiresAt: { $exists: false } }] }
+      ]
+    });
+
+    if (upcomingBookings > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Car has ${upcomingBookings} upcoming booking(s) and cannot be retired`
+      });
+    }
+
+    car.isRetired = true;
+    car.retiredAt = new Date();
+    car.isAvailable = false;
+    await car.save();
+
+    res.json({
+      success: true,
+      message: 'Car retired successfully',
+      data: car
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/cars/:id/images
+// @desc    Upload car images (multipart field "images")
+// @access  Private (cars:write)
+router.post('/:id/images', [auth, requirePermission('cars:write'), audit('car.images.upload', Car), uploadImages('cars')], async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No images uploaded'
+      });
+    }
+
+    const car = await Car.findByIdAndUpdate(
+      req.params.id,
+      { $push: { images: { $each: files.map(toUploadUrl) } } },
+      { new: true }
+    );
+
+    if (!car) {
+      await Promise.all(files.map(file => removeUpload(toUploadUrl(file))));
+      return res.status(404).json({
+        success: false,
+        message: 'Car not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Images uploaded successfully',
+      data: car.images
+    });
+  } catch (error) {
+    await Promise.all(files.map(file => removeUpload(toUploadUrl(file))));
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/cars/:id/images
+// @desc    Reorder or remove car images. Images left out of the list are removed.
+// @access  Private (cars:write)
+router.put('/:id/images', [auth, requirePermission('cars:write'), audit('car.images.update', Car)], [
+  body('images').isArray().withMessage('Images must be an array'),
+  body('images.*').isString().withMessage('Each image must be a URL')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const car = await Car.findById(req.params.id);
+
+    if (!car) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car not found'
+      });
+    }
+
+    const images = req.body.images;
+    const unknown = images.filter(image => !car.images.includes(image));
+    if (unknown.length > 0 || new Set(images).size !== images.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Images must be a subset of the car\'s existing images without duplicates'
+      });
+    }
+
+    const removed = car.images.filter(image => !images.includes(image));
+    car.images = images;
+    await car.save();
+    await Promise.all(removed.map(removeUpload));
+
+    res.json({
+      success: true,
+      message: 'Images updated successfully',
+      data: car.images
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Maintenance validation rules; on update every field is optional
+const maintenanceValidation = (isUpdate = false) => [
+  body('type').optional(isUpdate).isIn(Maintenance.schema.path('type').enumValues).withMessage('Invalid maintenance type'),
+  body('startDate').optional(isUpdate).isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional(isUpdate).isISO8601().withMessage('End date must be a valid date'),
+  body('status').optional().isIn(Maintenance.schema.path('status').enumValues).withMessage('Invalid status'),
+  body('cost').optional().isFloat({ min: 0 }).withMessage('Cost must be positive'),
+  body('odometer').optional().isFloat({ min: 0 }).withMessage('Odometer must be positive'),
+  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+];
+
+const pickMaintenanceFields = (source) => {
+  const fields = ['type', 'startDate', 'endDate', 'status', 'cost', 'odometer', 'notes'];
+  return fields.reduce((result, field) => {
+    if (source[field] !== undefined) result[field] = source[field];
+    return result;
+  }, {});
+};
+
+// @route   GET /api/cars/:id/maintenance
+// @desc    Get maintenance history and scheduled blocks of a car
+// @access  Private (cars:write)
+router.get('/:id/maintenance', [auth, requirePermission('cars:write')], [
+  query('status').optional().isIn(Maintenance.schema.path('status').enumValues).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const query = { car: req.params.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const maintenance = await Maintenance.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      data: maintenance
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/cars/:id/maintenance
+// @desc    Schedule maintenance; the car cannot be booked during the block
+// @access  Private (cars:write)
+router.post('/:id/maintenance', [auth, requirePermission('cars:write'), audit('maintenance.create', Maintenance, { idParam: 'maintenanceId' })], maintenanceValidation(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const car = await Car.findById(req.params.id);
+    if (!car || car.isRetired) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car not found'
+      });
+    }
+
+    const maintenance = new Maintenance({
+      ...pickMaintenanceFields(req.body),
+      car: car._id,
+      createdBy: req.user.id
+    });
+
+    if (maintenance.endDate <= maintenance.startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after start date'
+      });
+    }
+
+    if (maintenance.status === 'completed') maintenance.completedAt = new Date();
+
+    await scheduleMaintenance(maintenance);
+    await recordService(maintenance);
+
+    res.status(201).json({
+      success: true,
+      message: 'Maintenance scheduled successfully',
+      data: maintenance
+    });
+  } catch (error) {
+    if (error instanceof ReservationError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        conflicts: error.conflicts
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/cars/:id/maintenance/:maintenanceId
+// @desc    Update, reschedule or complete maintenance
+// @access  Private (cars:write)
+router.put('/:id/maintenance/:maintenanceId', [auth, requirePermission('cars:write'), audit('maintenance.update', Maintenance, { idParam: 'maintenanceId' })], maintenanceValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const maintenance = await Maintenance.findOne({ _id: req.params.maintenanceId, car: req.params.id });
+    if (!maintenance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance not found'
+      });
+    }
+
+    const wasCompleted = maintenance.status === 'completed';
+    const previous = { startDate: maintenance.startDate, endDate: maintenance.endDate };
+    maintenance.set(pickMaintenanceFields(req.body));
+
+    if (maintenance.endDate <= maintenance.startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after start date'
+      });
+    }
+
+    if (maintenance.status === 'completed' && !wasCompleted) maintenance.completedAt = new Date();
+
+    // Moving an active block needs the same booking check as scheduling it
+    const rescheduled = maintenance.isModified('startDate') || maintenance.isModified('endDate') ||
+      maintenance.isModified('status');
+    if (rescheduled && ['scheduled', 'in_progress'].includes(maintenance.status)) {
+      await scheduleMaintenance(maintenance);
+    } else {
+      await maintenance.save();
+    }
+
+    if (!wasCompleted) await recordService(maintenance);
+
+    // The car may now be free for dates the block used to cover
+    if (rescheduled) processWaitlist(maintenance.car, previous.startDate, previous.endDate);
+
+    res.json({
+      success: true,
+      message: 'Maintenance updated successfully',
+      data: maintenance
+    });
+  } catch (error) {
+    if (error instanceof ReservationError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        conflicts: error.conflicts
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/cars/:id/maintenance/:maintenanceId
+// @desc    Cancel scheduled maintenance, releasing the car for bookings
+// @access  Private (cars:write)
+router.delete('/:id/maintenance/:maintenanceId', [auth, requirePermission('cars:write'), audit('maintenance.cancel', Maintenance, { idParam: 'maintenanceId' })], async (req, res) => {
+  try {
+    const maintenance = await Maintenance.findOne({ _id: req.params.maintenanceId, car: req.params.id });
+    if (!maintenance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance not found'
+      });
+    }
+
+    if (maintenance.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Completed maintenance cannot be cancelled'
+      });
+    }
+
+    maintenance.status = 'cancelled';
+    await maintenance.save();
+
+    processWaitlist(maintenance.car, maintenance.startDate, maintenance.endDate);
+
+    res.json({
+      success: true,
+      message: 'Maintenance cancelled successfully'
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -0,0 +1,70 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+const ContactMessage = require('../models/ContactMessage');
+const { sendEmail } = require('../services/notifications');
+const router = express.Router();
+
+// Per-IP throttle for contact form submissions
+const contactLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 messages per windowMs
+  message: {
+    success: false,
+    message: 'Too many messages sent, please try again later'
+  }
+});
+
+// @route   POST /api/contact
+// @desc    Submit contact form
+// @access  Public
+router.post('/', contactLimiter, [
+  body('name').trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+  body('email').isEmail().withMessage('Please enter a valid email'),
+  body('phone').optional().isString().isLength({ max: 30 }).withMessage('Invalid phone number'),
+  body('subject').trim().notEmpty().withMessage('Subject is required')
+    .isLength({ max: 200 }).withMessage('Subject cannot exceed 200 characters'),
+  body('message').trim().notEmpty().withMessage('Message is required')
+    .isLength({ max: 5000 }).withMessage('Message cannot exceed 5000 characters')
+], async (req, res) => {
+  try {
+    // Honeypot: hidden "website" field that only bots fill in.
+    // Answer as if it worked so the bot learns nothing.
+    if (req.body.website) {
+      return res.status(201).json({ success: true, message: 'Message sent successfully' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, email, phone, subject, message } = req.body;
+
+    const contactMessage = await ContactMessage.create({
+      name,
+      email,
+      phone,
+      subject,
+      message,
+      ip: req.ip
+    });
+
+    sendEmail('contactReceived', process.env.CONTACT_NOTIFY_EMAIL, { contactMessage });
+
+    res.status(201).json({ success: true, message: 'Message sent successfully' });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error sending message',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
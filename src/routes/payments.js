@@ -0,0 +1,171 @@
+const express = require('express');
+const Booking = require('../models/Booking');
+const { getStripe, toMinorUnits, fromMinorUnits } = require('../services/stripe');
+const { roundMoney } = require('../services/pricing');
+const { refundBooking } = require('../services/payments');
+const { transitionBooking, BookingTransitionError } = require('../services/bookingStatus');
+const { notifyPaymentReceived } = require('../services/notifications');
+const router = express.Router();
+
+// Find the booking a PaymentIntent belongs to
+const findBookingForIntent = async (paymentIntent) => {
+  let booking = await Booking.findOne({ stripePaymentIntentId: paymentIntent.id });
+
+  if (!booking && paymentIntent.metadata && paymentIntent.metadata.bookingId) {
+    booking = await Booking.findById(paymentIntent.metadata.bookingId);
+  }
+
+  return booking;
+};
+
+// Extra charges for a price increase after the booking was paid
+// (see POST /api/bookings/:id/pay) carry `adjustment` in their metadata
+const isAdjustment = (paymentIntent) => Boolean(paymentIntent.metadata && paymentIntent.metadata.adjustment);
+
+const updateAdjustment = async (paymentIntent, status) => {
+  const booking = await Booking.findById(paymentIntent.metadata.bookingId);
+  if (!booking) return;
+
+  const adjustment = booking.paymentAdjustments.find(item => item.stripePaymentIntentId === paymentIntent.id);
+  if (!adjustment || adjustment.status === 'succeeded') return;
+
+  adjustment.status = status;
+  if (status === 'succeeded' && booking.status === 'cancelled') {
+    // A charge already under way when the booking was cancelled: give it back
+    adjustment.amount = fromMinorUnits(paymentIntent.amount);
+    await refundBooking(booking, adjustment.amount, { reason: 'Booking cancelled', key: `cancelled-${paymentIntent.id}` });
+    booking.paymentIssue = {
+      reason: 'Payment received after the booking was cancelled and refunded',
+      stripePaymentIntentId: paymentIntent.id,
+      amount: adjustment.amount,
+      at: new Date()
+    };
+  } else if (status === 'succeeded') {
+    adjustment.amount = fromMinorUnits(paymentIntent.amount);
+
+    // The balance can have come down while the charge was being paid (the booking was
+    // changed again), so anything paid over it is refunded
+    const overpaid = roundMoney(adjustment.amount - (booking.balanceDue || 0));
+    booking.balanceDue = overpaid > 0 ? 0 : roundMoney(booking.balanceDue - adjustment.amount);
+    if (overpaid > 0) {
+      await refundBooking(booking, overpaid, { reason: 'Balance overpaid', key: `overpaid-${paymentIntent.id}` });
+    }
+  }
+  await booking.save();
+};
+
+const handlePaymentSucceeded = async (paymentIntent) => {
+  if (isAdjustment(paymentIntent)) return updateAdjustment(paymentIntent, 'succeeded');
+
+  const booking = await findBookingForIntent(paymentIntent);
+  if (!booking || booking.paymentStatus === 'paid' || booking.paidAt) return;
+
+  // Cancelling closes the booking's PaymentIntent, but a payment already under way
+  // can still complete; refund it rather than reviving the booking
+  if (booking.status === 'cancelled') {
+    const amount = fromMinorUnits(paymentIntent.amount);
+    console.error(`Payment ${paymentIntent.id} arrived for cancelled booking ${booking._id}, refunding it`);
+    await getStripe().refunds.create({ payment_intent: paymentIntent.id }, { idempotencyKey: `cancelled-${paymentIntent.id}` });
+    booking.paymentIssue = {
+      reason: 'Payment received after the booking was cancelled and refunded',
+      stripePaymentIntentId: paymentIntent.id,
+      amount,
+      at: new Date()
+    };
+    await booking.save();
+    return;
+  }
+
+  // Only the booking's current intent, for its current total, can pay for it
+  let issue;
+  if (booking.stripePaymentIntentId && booking.stripePaymentIntentId !== paymentIntent.id) {
+    issue = 'PaymentIntent does not belong to this booking';
+  } else if (paymentIntent.amount !== toMinorUnits(booking.totalAmount)) {
+    issue = 'Amount paid does not match the booking total';
+  }
+
+  if (issue) {
+    console.error(`Payment ${paymentIntent.id} for booking ${booking._id} needs review: ${issue}`);
+    booking.paymentIssue = {
+      reason: issue,
+      stripePaymentIntentId: paymentIntent.id,
+      amount: fromMinorUnits(paymentIntent.amount),
+      at: new Date()
+    };
+    await booking.save();
+    return;
+  }
+
+  booking.paymentStatus = 'paid';
+  booking.paymentMethod = 'card';
+  booking.stripePaymentIntentId = paymentIntent.id;
+  booking.paidAt = new Date();
+  booking.amountPaid = fromMinorUnits(paymentIntent.amount);
+  await booking.save();
+  notifyPaymentReceived(booking);
+
+  if (booking.status === 'pending') {
+    try {
+      await transitionBooking(booking, 'confirmed', { note: 'Payment received' });
+    } catch (error) {
+      // Leave the paid booking pending for staff to resolve (e.g. its hold expired and the car was rebooked)
+      if (!(error instanceof BookingTransitionError)) throw error;
+      console.error(`Could not confirm paid booking ${booking._id}: ${error.message}`);
+    }
+  }
+};
+
+const handlePaymentFailed = async (paymentIntent) => {
+  if (isAdjustment(paymentIntent)) return updateAdjustment(paymentIntent, 'failed');
+
+  const booking = await findBookingForIntent(paymentIntent);
+  if (!booking || booking.paymentStatus === 'paid') return;
+
+  booking.paymentStatus = 'failed';
+  await booking.save();
+};
+
+// @route   POST /api/payments/webhook
+// @desc    Stripe webhook receiver (signature verified)
+// @access  Public (Stripe)
+router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+  let event;
+
+  try {
+    event = getStripe().webhooks.constructEvent(
+      req.body,
+      req.headers['stripe-signature'],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Webhook signature verification failed',
+      error: error.message
+    });
+  }
+
+  try {
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        await handlePaymentSucceeded(event.data.object);
+        break;
+      case 'payment_intent.payment_failed':
+        await handlePaymentFailed(event.data.object);
+        break;
+      default:
+        break;
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    // Non-2xx makes Stripe retry the event
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { notifyEmailVerification, notifyEmailChanged, notifyPasswordChanged } = require('../services/notifications');
+const { createSession, revokeUserSessions } = require('../services/sessions');
+const { recordAudit } = require('../services/audit');
 const router = express.Router();
 
 // @route   GET /api/users/profile
@@ -41,8 +44,29 @@ router.put('/profile', [auth], [
       });
     }
 
-    const updates = req.body;
-    delete updates.password; // Don't allow password updates through this route
+    // Only profile fields can be changed here; password, role and verification have their own flows
+    const updates = ['name', 'phone', 'email', 'address', 'licenseNumber'].reduce((result, field) => {
+      if (req.body[field] !== undefined) result[field] = req.body[field];
+      return result;
+    }, {});
+
+    // A new address has to be verified again; only the hashed token is stored
+    const emailChanged = Boolean(updates.email) && updates.email.toLowerCase() !== req.user.email;
+    let verificationToken;
+    if (emailChanged) {
+      const existingUser = await User.findOne({ email: updates.email.toLowerCase(), _id: { $ne: req.user.id } });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'User already exists with this email'
+        });
+      }
+
+      verificationToken = req.user.createEmailVerificationToken();
+      updates.isVerified = false;
+      updates.emailVerificationToken = req.user.emailVerificationToken;
+      updates.emailVerificationExpires = req.user.emailVerificationExpires;
+    }
 
     const user = await User.findByIdAndUpdate(
       req.user.id,
@@ -50,11 +74,87 @@ router.put('/profile', [auth], [
       { new: true, runValidators: true }
     );
 
+    if (emailChanged) {
+      notifyEmailVerification(user, verificationToken);
+      notifyEmailChanged(user, req.user.email);
+    }
+
+    recordAudit({
+      req,
+      action: emailChanged ? 'user.email.change' : 'user.profile.update',
+      targetType: 'User',
+      targetId: user._id,
+      before: req.user,
+      after: user
+    });
+
     res.json({
       success: true,
-      message: 'Profile updated successfully',
+      message: emailChanged
+        ? 'Profile updated successfully. Please verify your new email address.'
+        : 'Profile updated successfully',
       data: user
     });
+  } catch (error) {
+    // The address was registered by someone else since the check above
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/users/password
+// @desc    Change password (requires the current password)
+// @access  Private
+router.put('/password', [auth], [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    const isPasswordMatch = await user.comparePassword(req.body.currentPassword);
+    if (!isPasswordMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    // Existing tokens stop working after a password change, so sign out
+    // every session and issue a new one for this device
+    await revokeUserSessions(user._id);
+    const { token, refreshToken } = await createSession(user, req);
+
+    notifyPasswordChanged(user);
+    recordAudit({ req, action: 'user.password.change', targetType: 'User', targetId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      token,
+      refreshToken
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -0,0 +1,234 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Car = require('../models/Car');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const auth = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { findConflicts, resolveBranches, ReservationError } = require('../services/reservation');
+const { transitionBooking, BookingTransitionError } = require('../services/bookingStatus');
+const router = express.Router();
+
+// @route   POST /api/waitlist
+// @desc    Join the waitlist for a car, or any car of a category at the pickup branch
+// @access  Private
+router.post('/', [auth], [
+  body('car').optional().isMongoId().withMessage('Car must be a valid ID'),
+  body('category').optional().isIn(Car.schema.path('category').enumValues).withMessage('Invalid category'),
+  body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').isISO8601().withMessage('End date must be a valid date'),
+  body('pickupBranch').isMongoId().withMessage('Pickup branch is required'),
+  body('returnBranch').isMongoId().withMessage('Return branch is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { car: carId, category, pickupBranch, returnBranch } = req.body;
+    const start = new Date(req.body.startDate);
+    const end = new Date(req.body.endDate);
+
+    if (!carId === !category) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either a car or a category'
+      });
+    }
+
+    if (start <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date must be in the future'
+      });
+    }
+
+    if (end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after start date'
+      });
+    }
+
+    await resolveBranches({ pickupBranch, returnBranch, startDate: start, endDate: end });
+
+    if (carId) {
+      const car = await Car.findById(carId);
+      if (!car || car.isRetired) {
+        return res.status(404).json({
+          success: false,
+          message: 'Car not found'
+        });
+      }
+
+      const conflicts = await findConflicts(car._id, start, end);
+      if (conflicts.length === 0 && car.isAvailable) {
+        return res.status(400).json({
+          success: false,
+          message: 'Car is available for these dates, book it directly'
+        });
+      }
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      user: req.user.id,
+      status: { $in: ['waiting', 'offered'] },
+      ...(carId ? { car: carId } : { category, car: { $exists: false } }),
+      startDate: start,
+      endDate: end
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already on the waitlist for these dates'
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      user: req.user.id,
+      car: carId,
+      category: carId ? undefined : category,
+      startDate: start,
+      endDate: end,
+      pickupBranch,
+      returnBranch
+    });
+
+    const position = await WaitlistEntry.countDocuments({
+      status: 'waiting',
+      ...(carId ? { car: carId } : { category, car: { $exists: false }, pickupBranch }),
+      createdAt: { $lte: entry.createdAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist. We will email you and hold the car if it becomes available.',
+      data: { ...entry.toObject(), position }
+    });
+  } catch (error) {
+    if (error instanceof ReservationError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/waitlist
+// @desc    Get current user's waitlist entries (all entries with bookings:read)
+// @access  Private
+router.get('/', auth, [
+  query('status').optional().isIn(WaitlistEntry.schema.path('status').enumValues).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.all !== 'true' || !hasPermission(req.user, 'bookings:read')) query.user = req.user.id;
+    if (req.query.status) query.status = req.query.status;
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('car', 'name brand model images pricePerDay')
+      .populate('booking', 'status holdExpiresAt totalAmount')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await WaitlistEntry.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/waitlist/:id
+// @desc    Leave the waitlist; an open offer's held booking is released
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id).populate('booking');
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (entry.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change this waitlist entry'
+      });
+    }
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Waitlist entry is already ${entry.status}`
+      });
+    }
+
+    entry.status = 'cancelled';
+    await entry.save();
+
+    // Release the held car so it can be offered to the next customer
+    if (entry.booking && entry.booking.status === 'pending') {
+      await transitionBooking(entry.booking, 'cancelled', { actor: req.user.id, note: 'Waitlist offer declined' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from the waitlist'
+    });
+  } catch (error) {
+    if (error instanceof BookingTransitionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,10 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { startReminderScheduler } = require('./services/notifications');
+const { startServiceReminderScheduler } = require('./services/maintenance');
+const { startWaitlistScheduler } = require('./services/waitlist');
+const { startHoldExpiryScheduler } = require('./services/bookings');
 
 const app = express();
 
@@ -14,10 +18,16 @@ app.use(cors());
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // Stripe retries webhooks in bursts from shared IPs; they are authenticated by signature instead
+  skip: (req) => req.originalUrl.startsWith('/api/payments/webhook')
 });
 app.use(limiter);
 
+// Stripe webhooks must see the raw body to verify signatures,
+// so they are mounted before the JSON body parser
+app.use('/api/payments', require('./routes/payments'));
+
 // Body parser middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -27,7 +37,13 @@ app.use('/uploads', express.static('uploads'));
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('📦 Connected to MongoDB'))
+  .then(() => {
+    console.log('📦 Connected to MongoDB');
+    startReminderScheduler();
+    startServiceReminderScheduler();
+    startWaitlistScheduler();
+    startHoldExpiryScheduler();
+  })
   .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Routes
@@ -36,6 +52,9 @@ app.use('/api/cars', require('./routes/cars'));
 app.use('/api/bookings', require('./routes/bookings'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/contact', require('./routes/contact'));
+app.use('/api/branches', require('./routes/branches'));
+app.use('/api/waitlist', require('./routes/waitlist'));
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,62 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the audit trail
+const REDACTED_FIELDS = [
+  'password',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'emailVerificationToken',
+  'emailVerificationExpires',
+  'accountClaimToken',
+  'accountClaimExpires',
+  'refreshTokenHash',
+  '__v'
+];
+
+const normalize = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Top-level fields whose values differ between `before` and `after`
+const diff = (before, after) => {
+  const a = normalize(before) || {};
+  const b = normalize(after) || {};
+  const changes = { before: {}, after: {} };
+
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach(key => {
+    if (REDACTED_FIELDS.includes(key)) return;
+    if (JSON.stringify(a[key]) === JSON.stringify(b[key])) return;
+    if (key in a) changes.before[key] = a[key];
+    if (key in b) changes.after[key] = b[key];
+  });
+
+  return changes;
+};
+
+// Write an audit entry. Failures are logged and never break the request.
+const recordAudit = async ({ req, actor, action, targetType, targetId, before, after }) => {
+  try {
+    const user = actor || (req && req.user);
+    await AuditLog.create({
+      actor: user && user._id,
+      actorRole: user && user.role,
+      action,
+      targetType,
+      targetId,
+      changes: diff(before, after),
+      method: req && req.method,
+      path: req && req.originalUrl,
+      ip: req && req.ip,
+      userAgent: req && req.get('user-agent')
+    });
+  } catch (error) {
+    console.error(`Could not write audit entry for ${action}: ${error.message}`);
+  }
+};
+
+module.exports = {
+  recordAudit,
+  diff
+};
@@ -0,0 +1,153 @@
+const EventEmitter = require('events');
+const Car = require('../models/Car');
+const User = require('../models/User');
+const { refundBooking, cancelOpenPayments } = require('./payments');
+const { calculateRefund } = require('./refundPolicy');
+const { releaseCoupon } = require('./coupons');
+const { findConflicts, withCarLock } = require('./reservation');
+
+// Allowed Booking.status transitions
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['active', 'cancelled'],
+  active: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// A rental may be picked up this long before its start date
+const EARLY_PICKUP_MS = 2 * 3600 * 1000;
+
+// Emits 'transition' with { booking, from, to, actor, note } after every saved status change
+const bookingEvents = new EventEmitter();
+
+class BookingTransitionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BookingTransitionError';
+    this.status = status;
+  }
+}
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// Checks run before a transition; throw BookingTransitionError to reject it
+const guards = {
+  confirmed: async (booking) => {
+    const car = await Car.findById(booking.car).select('isRetired');
+    if (!car || car.isRetired) {
+      throw new BookingTransitionError('Car has been retired and cannot be booked');
+    }
+
+    // Optionally require registered customers to verify their email first
+    if (process.env.REQUIRE_VERIFIED_EMAIL === 'true' && !booking.isGuestBooking) {
+      const user = await User.findById(booking.user);
+      if (user && !user.isVerified) {
+        throw new BookingTransitionError('Customer must verify their email before the booking can be confirmed');
+      }
+    }
+
+    const conflicts = await findConflicts(booking.car, booking.startDate, booking.endDate, {
+      excludeBookingId: booking._id
+    });
+    if (conflicts.length > 0) {
+      throw new BookingTransitionError('Car is not available for these dates');
+    }
+  },
+  active: async (booking, { now }) => {
+    if (now.getTime() < booking.startDate.getTime() - EARLY_PICKUP_MS) {
+      throw new BookingTransitionError('Rental cannot start before its start date');
+    }
+  },
+  completed: async (booking, { now }) => {
+    if (now < booking.startDate) {
+      throw new BookingTransitionError('Booking cannot be completed before its start date');
+    }
+  }
+};
+
+// Side effects applied to the booking before it is saved
+const onEnter = {
+  confirmed: async (booking) => {
+    booking.holdExpiresAt = undefined;
+  },
+  cancelled: async (booking, { actor, note, now }) => {
+    // Stop the customer paying for a booking that no longer exists
+    await cancelOpenPayments(booking);
+
+    const refund = calculateRefund(booking, now);
+    let stripeRefunds = [];
+
+    if (refund.amount > 0) {
+      stripeRefunds = await refundBooking(booking, refund.amount, {
+        reason: 'Booking cancelled',
+        key: `refund-${booking._id}`
+      });
+    }
+
+    booking.cancellation = {
+      cancelledAt: now,
+      cancelledBy: actor,
+      reason: note,
+      refundPercent: refund.percent,
+      refundAmount: refund.amount,
+      refundRule: refund.rule,
+      stripeRefundId: stripeRefunds.length > 0 ? stripeRefunds[0].id : undefined
+    };
+    if (refund.amount > 0) {
+      booking.paymentStatus = refund.percent >= 100 ? 'refunded' : 'partially_refunded';
+    }
+  }
+};
+
+// Side effects once the new status has been saved
+const afterEnter = {
+  active: (booking) => Car.updateOne({ _id: booking.car }, { currentBooking: booking._id }),
+  completed: (booking) => Car.updateOne({ _id: booking.car, currentBooking: booking._id }, { $unset: { currentBooking: 1 } }),
+  cancelled: async (booking) => {
+    await Car.updateOne({ _id: booking.car, currentBooking: booking._id }, { $unset: { currentBooking: 1 } });
+    // Give the redemption back so the customer (and the coupon's limit) can use it again
+    if (booking.coupon) await releaseCoupon(booking.coupon, booking.user);
+  }
+};
+
+// Move `booking` to status `to`, enforcing allowed transitions, running side effects
+// and appending a status history entry. `actor` is the user responsible (omit for system changes).
+const transitionBooking = async (booking, to, { actor, note, now = new Date() } = {}) => {
+  const from = booking.status;
+
+  if (!canTransition(from, to)) {
+    throw new BookingTransitionError(`Cannot change booking status from ${from} to ${to}`);
+  }
+
+  const context = { from, to, actor, note, now };
+
+  const apply = async () => {
+    if (guards[to]) await guards[to](booking, context);
+    if (onEnter[to]) await onEnter[to](booking, context);
+
+    booking.status = to;
+    booking.statusHistory.push({ from, to, actor, note, at: now });
+    await booking.save();
+  };
+
+  // Confirming re-checks conflicts, so it must hold the car's reservation lock
+  if (to === 'confirmed') {
+    await withCarLock(booking.car, apply);
+  } else {
+    await apply();
+  }
+
+  if (afterEnter[to]) await afterEnter[to](booking, context);
+  bookingEvents.emit('transition', { booking, from, to, actor, note });
+
+  return booking;
+};
+
+module.exports = {
+  TRANSITIONS,
+  BookingTransitionError,
+  bookingEvents,
+  canTransition,
+  transitionBooking
+};
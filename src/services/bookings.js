@@ -0,0 +1,309 @@
+const Booking = require('../models/Booking');
+const Car = require('../models/Car');
+const Coupon = require('../models/Coupon');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { reserveCar, resolveBranches, findConflicts, withCarLock, ReservationError } = require('./reservation');
+const { calculatePrice, roundMoney } = require('./pricing');
+const { findApplicableCoupon, redeemCoupon, releaseCoupon, appliesToCategory, couponTerms } = require('./coupons');
+const { refundBooking, findOpenCharge, cancelPaymentIntent } = require('./payments');
+const { getStripe, toMinorUnits, fromMinorUnits } = require('./stripe');
+const { transitionBooking } = require('./bookingStatus');
+
+// How often pending bookings are checked for a lapsed hold
+const HOLD_EXPIRY_INTERVAL_MS = 5 * 60 * 1000;
+
+// Check the branches, price the booking (applying an optional coupon), redeem the
+// coupon and reserve the car. The coupon redemption is rolled back if the car
+// cannot be reserved.
+const bookCar = async ({ user, car, startDate, endDate, pickupBranch: pickupBranchId, returnBranch: returnBranchId, couponCode, ...details }) => {
+  const { pickupBranch, returnBranch } = await resolveBranches({
+    pickupBranch: pickupBranchId,
+    returnBranch: returnBranchId,
+    startDate,
+    endDate
+  });
+
+  const coupon = couponCode ? await findApplicableCoupon(couponCode, { userId: user, car }) : null;
+
+  const pricing = calculatePrice({
+    car,
+    startDate,
+    endDate,
+    pickupBranch: pickupBranch._id,
+    returnBranch: returnBranch._id,
+    coupon
+  });
+
+  if (coupon) await redeemCoupon(coupon, user);
+
+  try {
+    return await reserveCar({
+      ...details,
+      user,
+      car: car._id,
+      startDate,
+      endDate,
+      totalDays: pricing.totalDays,
+      totalAmount: pricing.total,
+      pricing: coupon ? { ...pricing, coupon: couponTerms(coupon) } : pricing,
+      pickupBranch: pickupBranch._id,
+      returnBranch: returnBranch._id,
+      pickupLocation: pickupBranch.name,
+      returnLocation: returnBranch.name,
+      coupon: coupon ? coupon._id : undefined,
+      couponCode: coupon ? coupon.code : undefined
+    });
+  } catch (error) {
+    if (coupon) await releaseCoupon(coupon, user);
+    throw error;
+  }
+};
+
+// Fields a customer may change on a pending or confirmed booking
+const MODIFIABLE_FIELDS = ['car', 'startDate', 'endDate', 'pickupBranch', 'returnBranch'];
+
+const sameValue = (a, b) => (a instanceof Date || b instanceof Date
+  ? new Date(a).getTime() === new Date(b).getTime()
+  : String(a) === String(b));
+
+// Open PaymentIntents that a booking change has to reprice. A payment that is
+// already going through cannot be changed, so the change has to wait; a
+// cancelled intent is left alone.
+const getRepriceableIntent = async (paymentIntentId) => {
+  const paymentIntent = await getStripe().paymentIntents.retrieve(paymentIntentId);
+
+  if (paymentIntent.status === 'canceled') return null;
+  if (['succeeded', 'processing'].includes(paymentIntent.status)) {
+    throw new ReservationError('A payment for this booking is being processed, please try again shortly', 409);
+  }
+  return paymentIntent;
+};
+
+const repriceIntent = async (paymentIntent, amount) => {
+  if (paymentIntent.amount !== toMinorUnits(amount)) {
+    await getStripe().paymentIntents.update(paymentIntent.id, { amount: toMinorUnits(amount) });
+  }
+};
+
+// Bookings paid before amountPaid was recorded: take it from the PaymentIntent, or
+// from the total they were paid at, so refunds are not capped by a changed total
+const backfillAmountPaid = async (booking) => {
+  if (booking.amountPaid !== undefined) return;
+
+  if (booking.stripePaymentIntentId) {
+    const paymentIntent = await getStripe().paymentIntents.retrieve(booking.stripePaymentIntentId);
+    booking.amountPaid = fromMinorUnits(paymentIntent.amount_received || paymentIntent.amount);
+  } else {
+    booking.amountPaid = booking.totalAmount;
+  }
+};
+
+// The coupon terms a booking was made with. Bookings made before the terms were
+// stored fall back to the coupon as it is now.
+const bookingCouponTerms = async (booking) => {
+  if (booking.pricing && booking.pricing.coupon && booking.pricing.coupon.code) {
+    return booking.pricing.coupon;
+  }
+  if (!booking.coupon) return null;
+
+  const coupon = await Coupon.findById(booking.coupon);
+  if (!coupon) {
+    throw new ReservationError('The coupon used for this booking no longer exists, please contact us to change it', 409);
+  }
+  return couponTerms(coupon);
+};
+
+// Bring Stripe in line with a saved booking change: reprice the open PaymentIntent
+// or balance charge and refund what is owed. This runs after the car lock is
+// released; a failure is recorded as a payment issue for staff to resolve instead
+// of undoing the change. Returns the amount refunded.
+const settlePayments = async (booking, { openIntent, openCharge, chargeIntent, toRefund, key }) => {
+  let refunded = 0;
+
+  try {
+    if (openIntent) await repriceIntent(openIntent, booking.totalAmount);
+
+    if (chargeIntent) {
+      if (booking.balanceDue > 0) {
+        await repriceIntent(chargeIntent, booking.balanceDue);
+        openCharge.amount = booking.balanceDue;
+      } else if (await cancelPaymentIntent(chargeIntent.id)) {
+        openCharge.status = 'cancelled';
+      }
+    }
+
+    if (toRefund > 0) {
+      const refunds = await refundBooking(booking, toRefund, { reason: 'Booking modified', key });
+      refunded = roundMoney(refunds.reduce((sum, refund) => sum + fromMinorUnits(refund.amount), 0));
+    }
+  } catch (error) {
+    console.error(`Could not update the payments of booking ${booking._id} after it was modified: ${error.message}`);
+    booking.paymentIssue = {
+      reason: `Payment not updated after the booking was modified: ${error.message}`,
+      amount: toRefund > 0 ? roundMoney(toRefund - refunded) : undefined,
+      at: new Date()
+    };
+  }
+
+  await booking.save();
+  return refunded;
+};
+
+// Change the dates, car or branches of a pending or confirmed booking. Checks
+// availability (ignoring the booking itself) under the car lock and reprices it
+// with the coupon terms it was made with. For paid bookings a higher price is
+// added to `balanceDue` (collected through POST /api/bookings/:id/pay) and a lower
+// price comes off the balance first and is otherwise refunded; open
+// PaymentIntents are updated to the new amounts.
+// Returns { booking, changes, difference, refunded }.
+const modifyBooking = async (booking, updates, { actor, note, now = new Date() } = {}) => {
+  if (!['pending', 'confirmed'].includes(booking.status)) {
+    throw new ReservationError(`Cannot modify a ${booking.status} booking`);
+  }
+  if (booking.startDate <= now) {
+    throw new ReservationError('Booking cannot be modified after its start date');
+  }
+
+  const next = MODIFIABLE_FIELDS.reduce((result, field) => {
+    result[field] = updates[field] !== undefined ? updates[field] : booking[field];
+    return result;
+  }, {});
+  next.startDate = new Date(next.startDate);
+  next.endDate = new Date(next.endDate);
+
+  const changes = MODIFIABLE_FIELDS.reduce((result, field) => {
+    if (!sameValue(booking[field], next[field])) result[field] = { from: booking[field], to: next[field] };
+    return result;
+  }, {});
+  if (Object.keys(changes).length === 0) {
+    throw new ReservationError('No changes to apply');
+  }
+
+  if (next.startDate <= now) throw new ReservationError('Start date must be in the future');
+  if (next.endDate <= next.startDate) throw new ReservationError('End date must be after start date');
+
+  const car = await Car.findById(next.car);
+  if (!car || car.isRetired) throw new ReservationError('Car not found', 404);
+  if (changes.car && !car.isAvailable) throw new ReservationError('Car is not available');
+
+  const { pickupBranch, returnBranch } = await resolveBranches(next);
+
+  // The coupon was redeemed when the booking was made, so it keeps applying as
+  // long as the new car is one it covers
+  const coupon = await bookingCouponTerms(booking);
+  if (coupon && !appliesToCategory(coupon, car.category)) {
+    throw new ReservationError(`Coupon ${coupon.code} is not valid for this car category`);
+  }
+
+  const pricing = calculatePrice({
+    car,
+    startDate: next.startDate,
+    endDate: next.endDate,
+    pickupBranch: pickupBranch._id,
+    returnBranch: returnBranch._id,
+    coupon
+  });
+  if (coupon) pricing.coupon = coupon;
+
+  const previousTotal = booking.totalAmount;
+  const difference = roundMoney(pricing.total - previousTotal);
+  const paid = booking.paymentStatus === 'paid';
+
+  // Check the PaymentIntents before taking the lock so no Stripe call holds it
+  let openIntent = null;
+  let openCharge = null;
+  let chargeIntent = null;
+  if (paid) {
+    await backfillAmountPaid(booking);
+    openCharge = difference !== 0 ? findOpenCharge(booking) : null;
+    if (openCharge) chargeIntent = await getRepriceableIntent(openCharge.stripePaymentIntentId);
+  } else if (booking.stripePaymentIntentId && difference !== 0) {
+    openIntent = await getRepriceableIntent(booking.stripePaymentIntentId);
+  }
+
+  let toRefund = 0;
+  const key = `modify-${booking._id}-${booking.changeHistory.length}`;
+
+  await withCarLock(car._id, async () => {
+    const conflicts = await findConflicts(car._id, next.startDate, next.endDate, { excludeBookingId: booking._id });
+    if (conflicts.length > 0) {
+      throw new ReservationError('Car is not available for the selected dates');
+    }
+
+    if (changes.startDate) booking.notifications.pickupReminderSentAt = undefined;
+
+    booking.set({
+      car: car._id,
+      startDate: next.startDate,
+      endDate: next.endDate,
+      pickupBranch: pickupBranch._id,
+      returnBranch: returnBranch._id,
+      pickupLocation: pickupBranch.name,
+      returnLocation: returnBranch.name,
+      totalDays: pricing.totalDays,
+      totalAmount: pricing.total,
+      pricing
+    });
+
+    if (paid) {
+      if (difference > 0) {
+        booking.balanceDue = roundMoney((booking.balanceDue || 0) + difference);
+      } else if (difference < 0) {
+        const credit = -difference;
+        const fromBalance = Math.min(booking.balanceDue || 0, credit);
+        booking.balanceDue = roundMoney((booking.balanceDue || 0) - fromBalance);
+        toRefund = roundMoney(credit - fromBalance);
+      }
+    }
+
+    booking.changeHistory.push({
+      actor,
+      changes,
+      previousTotal,
+      newTotal: pricing.total,
+      note,
+      at: now
+    });
+    await booking.save();
+  });
+
+  const refunded = await settlePayments(booking, { openIntent, openCharge, chargeIntent, toRefund, key });
+
+  return { booking, changes, difference, refunded };
+};
+
+// Cancel pending bookings whose hold lapsed without payment, which closes their
+// PaymentIntent and gives back their coupon redemption. Waitlist offers are
+// expired by the waitlist scheduler instead.
+const expireLapsedHolds = async (now = new Date()) => {
+  const offered = await WaitlistEntry.distinct('booking', { status: 'offered' });
+  const bookings = await Booking.find({
+    _id: { $nin: offered },
+    status: 'pending',
+    holdExpiresAt: { $lte: now }
+  });
+
+  for (const booking of bookings) {
+    try {
+      await transitionBooking(booking, 'cancelled', { note: 'Hold expired', now });
+    } catch (error) {
+      console.error(`Could not cancel booking ${booking._id} after its hold expired: ${error.message}`);
+    }
+  }
+};
+
+const startHoldExpiryScheduler = () => {
+  const run = () => expireLapsedHolds().catch(error => {
+    console.error('Hold expiry run failed:', error.message);
+  });
+
+  run();
+  return setInterval(run, HOLD_EXPIRY_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  bookCar,
+  modifyBooking,
+  expireLapsedHolds,
+  startHoldExpiryScheduler
+};
@@ -0,0 +1,111 @@
+const moment = require('moment');
+const Booking = require('../models/Booking');
+const Maintenance = require('../models/Maintenance');
+const { buildConflictQuery, buildMaintenanceQuery } = require('./reservation');
+
+// Day status precedence when several blocks cover the same day
+const STATUS_RANK = { free: 0, pending: 1, booked: 2, maintenance: 3 };
+
+// Calendar days (UTC, YYYY-MM-DD) from `from` up to but excluding `to`
+const listDays = (from, to) => {
+  const days = [];
+  for (let day = moment.utc(from).startOf('day'); day.isBefore(to); day.add(1, 'day')) {
+    days.push(day.format('YYYY-MM-DD'));
+  }
+  return days;
+};
+
+// Blocking bookings ('booked' or 'pending') and maintenance blocks for the given cars
+const findBlocks = async (carIds, from, to) => {
+  const [bookings, maintenance] = await Promise.all([
+    Booking.find({
+      ...buildConflictQuery(null, from, to),
+      car: { $in: carIds }
+    }).select('car startDate endDate status').lean(),
+    Maintenance.find({
+      ...buildMaintenanceQuery(null, from, to),
+      car: { $in: carIds }
+    }).select('car startDate endDate').lean()
+  ]);
+
+  return [
+    ...bookings.map(booking => ({
+      car: booking.car,
+      startDate: booking.startDate,
+      endDate: booking.endDate,
+      status: booking.status === 'pending' ? 'pending' : 'booked',
+      booking: booking._id
+    })),
+    ...maintenance.map(block => ({
+      car: block.car,
+      startDate: block.startDate,
+      endDate: block.endDate,
+      status: 'maintenance',
+      maintenance: block._id
+    }))
+  ];
+};
+
+// Day-by-day status for one car. `blocks` are { startDate, endDate, status } ranges;
+// a car taken out of service (isAvailable: false) counts as maintenance every day.
+const buildDays = (car, days, blocks, { includeRefs = false } = {}) => {
+  return days.map(date => {
+    const dayStart = moment.utc(date);
+    const dayEnd = dayStart.clone().add(1, 'day');
+    let entry = { date, status: car.isAvailable ? 'free' : 'maintenance' };
+
+    blocks.forEach(block => {
+      const overlaps = block.startDate < dayEnd.toDate() && block.endDate > dayStart.toDate();
+      if (overlaps && STATUS_RANK[block.status] > STATUS_RANK[entry.status]) {
+        entry = { date, status: block.status };
+        if (includeRefs && block.booking) entry.booking = block.booking;
+        if (includeRefs && block.maintenance) entry.maintenance = block.maintenance;
+      }
+    });
+
+    return entry;
+  });
+};
+
+// Calendar for a single car for a month (YYYY-MM)
+const getCarCalendar = async (car, month) => {
+  const from = moment.utc(month, 'YYYY-MM', true).startOf('month');
+  const to = from.clone().add(1, 'month');
+  const days = listDays(from, to);
+  const blocks = await findBlocks([car._id], from.toDate(), to.toDate());
+
+  return buildDays(car, days, blocks);
+};
+
+// Fleet-wide grid for staff: every car's daily status, with the booking or
+// maintenance behind it, plus utilization
+// (share of days booked) between `from` and `to`
+const getFleetCalendar = async (cars, from, to) => {
+  const days = listDays(from, to);
+  const blocks = await findBlocks(cars.map(car => car._id), from, to);
+
+  return cars.map(car => {
+    const carBlocks = blocks.filter(block => block.car.equals(car._id));
+    const carDays = buildDays(car, days, carBlocks, { includeRefs: true });
+    const bookedDays = carDays.filter(day => day.status === 'booked').length;
+
+    return {
+      car: {
+        _id: car._id,
+        name: car.name,
+        brand: car.brand,
+        model: car.model,
+        category: car.category,
+        branch: car.branch
+      },
+      utilization: days.length ? Math.round((bookedDays / days.length) * 1000) / 10 : 0,
+      days: carDays
+    };
+  });
+};
+
+module.exports = {
+  listDays,
+  getCarCalendar,
+  getFleetCalendar
+};
@@ -0,0 +1,105 @@
+const Coupon = require('../models/Coupon');
+const CouponUsage = require('../models/CouponUsage');
+
+class CouponError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CouponError';
+    this.status = status;
+  }
+}
+
+// Whether coupon terms apply to cars of `category`; no listed categories means all of them
+const appliesToCategory = (coupon, category) => !coupon.eligibleCategories
+  || coupon.eligibleCategories.length === 0
+  || coupon.eligibleCategories.includes(category);
+
+// The discount terms stored on a booking, so it is repriced with the coupon as it was when booked
+const couponTerms = (coupon) => ({
+  code: coupon.code,
+  discountType: coupon.discountType,
+  value: coupon.value,
+  eligibleCategories: [...(coupon.eligibleCategories || [])]
+});
+
+// Look up a coupon and check it can be used by `userId` for `car` at `now`.
+// Usage limits are checked again atomically when the coupon is redeemed.
+const findApplicableCoupon = async (code, { userId, car, now = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon || !coupon.isActive) {
+    throw new CouponError('Invalid coupon code');
+  }
+
+  if ((coupon.validFrom && now < coupon.validFrom) || (coupon.validUntil && now > coupon.validUntil)) {
+    throw new CouponError('Coupon is not valid at this time');
+  }
+
+  if (!appliesToCategory(coupon, car.category)) {
+    throw new CouponError('Coupon is not valid for this car category');
+  }
+
+  if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions) {
+    throw new CouponError('Coupon has reached its redemption limit');
+  }
+
+  if (coupon.perUserLimit && userId) {
+    const usage = await CouponUsage.findOne({ coupon: coupon._id, user: userId });
+    if (usage && usage.count >= coupon.perUserLimit) {
+      throw new CouponError('You have already used this coupon');
+    }
+  }
+
+  return coupon;
+};
+
+// Atomically count one redemption of `coupon` by `userId`.
+// Throws CouponError when the global or per-user limit has been reached.
+const redeemCoupon = async (coupon, userId) => {
+  if (coupon.perUserLimit) {
+    // The upsert only matches while under the limit; at the limit the insert
+    // collides with the existing usage document on the unique index.
+    try {
+      await CouponUsage.findOneAndUpdate(
+        { coupon: coupon._id, user: userId, count: { $lt: coupon.perUserLimit } },
+        { $inc: { count: 1 } },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) throw new CouponError('You have already used this coupon');
+      throw error;
+    }
+  } else {
+    await CouponUsage.updateOne(
+      { coupon: coupon._id, user: userId },
+      { $inc: { count: 1 } },
+      { upsert: true }
+    );
+  }
+
+  const filter = { _id: coupon._id, isActive: true };
+  if (coupon.maxRedemptions) filter.redemptionCount = { $lt: coupon.maxRedemptions };
+
+  const updated = await Coupon.findOneAndUpdate(filter, { $inc: { redemptionCount: 1 } }, { new: true });
+  if (!updated) {
+    await CouponUsage.updateOne({ coupon: coupon._id, user: userId }, { $inc: { count: -1 } });
+    throw new CouponError('Coupon has reached its redemption limit');
+  }
+
+  return updated;
+};
+
+// Undo a redemption, e.g. when the booking it was claimed for could not be created
+const releaseCoupon = async (coupon, userId) => {
+  await Coupon.updateOne({ _id: coupon._id, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+  await CouponUsage.updateOne({ coupon: coupon._id, user: userId, count: { $gt: 0 } }, { $inc: { count: -1 } });
+};
+
+module.exports = {
+  CouponError,
+  appliesToCategory,
+  couponTerms,
+  findApplicableCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
@@ -0,0 +1,146 @@
+const moment = require('moment');
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date) => moment(date).format('ddd, MMM D YYYY HH:mm');
+
+const formatMoney = (amount, currency = 'usd') => `${Number(amount || 0).toFixed(2)} ${currency.toUpperCase()}`;
+
+const carName = (car) => (car ? `${car.brand} ${car.model}` : 'your car');
+
+// Plain text lines rendered both as text and as simple HTML paragraphs
+const render = (subject, greetingName, lines) => {
+  const body = [`Hi ${greetingName || 'there'},`, ...lines, 'Thank you for renting with us.'];
+
+  return {
+    subject,
+    text: body.join('\n\n'),
+    html: body.map(line => `<p>${escapeHtml(line)}</p>`).join('\n')
+  };
+};
+
+const bookingSummary = (booking) => [
+  `Car: ${carName(booking.car)}`,
+  `Pickup: ${formatDate(booking.startDate)} at ${booking.pickupLocation}`,
+  `Return: ${formatDate(booking.endDate)} at ${booking.returnLocation}`,
+  `Total: ${formatMoney(booking.totalAmount, booking.pricing && booking.pricing.currency)}`
+].join('\n');
+
+// Each template receives a data object and returns { subject, text, html }
+const templates = {
+  registration: ({ user, verifyUrl }) => render('Welcome to Car Rental', user.name, [
+    'Your account has been created. You can now book cars and manage your reservations online.',
+    ...(verifyUrl ? [`Please confirm your email address: ${verifyUrl}`] : [])
+  ]),
+
+  emailVerification: ({ user, verifyUrl }) => render('Confirm your email address', user.name, [
+    `Please confirm your email address by opening this link: ${verifyUrl}`,
+    'The link expires in 24 hours.'
+  ]),
+
+  passwordReset: ({ user, resetUrl }) => render('Reset your password', user.name, [
+    `We received a request to reset your password. Open this link to choose a new one: ${resetUrl}`,
+    'The link expires in 1 hour. If you did not request a reset, you can ignore this email.'
+  ]),
+
+  accountClaim: ({ user, claimUrl }) => render('Finish creating your account', user.name, [
+    `Open this link to set a password and turn your guest bookings into a full account: ${claimUrl}`,
+    'The link expires in 24 hours. If you did not ask for an account, you can ignore this email.'
+  ]),
+
+  guestBookingAccess: ({ user, accessUrl }) => render('Manage your booking', user.name, [
+    `Open this link to view or cancel your bookings: ${accessUrl}`,
+    'The link expires in 1 hour.'
+  ]),
+
+  passwordChanged: ({ user }) => render('Your password was changed', user.name, [
+    'The password for your account was just changed. If this was not you, reset your password immediately and contact us.'
+  ]),
+
+  emailChanged: ({ user }) => render('Your email address was changed', user.name, [
+    `The email address for your account was just changed to ${user.email}. If this was not you, contact us immediately.`
+  ]),
+
+  bookingCreated: ({ booking, name }) => render('We received your booking', name, [
+    `Your booking ${booking._id} has been received and is awaiting confirmation.`,
+    bookingSummary(booking)
+  ]),
+
+  bookingConfirmed: ({ booking, name }) => render('Your booking is confirmed', name, [
+    `Good news! Booking ${booking._id} is confirmed.`,
+    bookingSummary(booking)
+  ]),
+
+  bookingModified: ({ booking, name, difference, refunded }) => {
+    const currency = booking.pricing && booking.pricing.currency;
+    const lines = ['Your booking has been changed. The updated details are:', bookingSummary(booking)];
+    if (booking.balanceDue > 0) {
+      lines.push(`The new price is higher; please pay the remaining ${formatMoney(booking.balanceDue, currency)} to keep your booking.`);
+    } else if (refunded > 0) {
+      lines.push(`We have refunded ${formatMoney(refunded, currency)} to your card.`);
+    } else if (difference) {
+      lines.push(`The total changed by ${formatMoney(difference, currency)}.`);
+    }
+    return render(`Booking ${booking._id} updated`, name, lines);
+  },
+
+  bookingCancelled: ({ booking, name }) => {
+    const refund = booking.cancellation && booking.cancellation.refundAmount;
+    return render('Your booking has been cancelled', name, [
+      `Booking ${booking._id} has been cancelled.`,
+      refund
+        ? `A refund of ${formatMoney(refund, booking.pricing && booking.pricing.currency)} is on its way to your original payment method.`
+        : 'No refund applies to this cancellation.'
+    ]);
+  },
+
+  pickupReminder: ({ booking, name }) => render('Your rental starts soon', name, [
+    `This is a reminder that your rental of ${carName(booking.car)} starts ${moment(booking.startDate).fromNow()}.`,
+    bookingSummary(booking),
+    'Please bring your driving license and the card used for payment.'
+  ]),
+
+  waitlistOffer: ({ booking, name, bookingUrl }) => render('A car on your waitlist is available', name, [
+    `Good news: ${carName(booking.car)} is now available for your dates and we are holding it for you.`,
+    bookingSummary(booking),
+    `The hold expires ${formatDate(booking.holdExpiresAt)}. Complete payment to confirm your booking: ${bookingUrl}`
+  ]),
+
+  receipt: ({ booking, name }) => {
+    const currency = booking.pricing && booking.pricing.currency;
+    const items = booking.pricing && booking.pricing.items ? booking.pricing.items : [];
+    const lines = items.map(item => `${item.description}: ${formatMoney(item.amount, currency)}`);
+    if (booking.pricing && booking.pricing.tax) lines.push(`Tax: ${formatMoney(booking.pricing.tax, currency)}`);
+
+    return render(`Receipt for booking ${booking._id}`, name, [
+      `We received your payment for booking ${booking._id}.`,
+      lines.join('\n'),
+      `Total paid: ${formatMoney(booking.totalAmount, currency)}`
+    ]);
+  },
+
+  // Sent to the fleet team when a car is due for its regular service
+  serviceDue: ({ car, reasons }) => render(`Service due: ${car.name} (${carName(car)})`, 'team', [
+    `${car.name} is due for its regular service:`,
+    reasons.join('\n'),
+    'Please schedule a service block so the car is not booked meanwhile.'
+  ]),
+
+  // Sent to staff when the contact form is submitted
+  contactReceived: ({ contactMessage }) => render(`New contact message: ${contactMessage.subject}`, 'team', [
+    `From: ${contactMessage.name} <${contactMessage.email}>${contactMessage.phone ? ` (${contactMessage.phone})` : ''}`,
+    contactMessage.message
+  ]),
+
+  contactReply: ({ contactMessage, reply }) => render(`Re: ${contactMessage.subject}`, contactMessage.name, [
+    reply,
+    `Your original message:\n${contactMessage.message}`
+  ])
+};
+
+module.exports = templates;
@@ -0,0 +1,26 @@
+const jwt = require('jsonwebtoken');
+
+const PURPOSE = 'guest-booking-access';
+
+// Magic-link tokens let guests manage their bookings without an account.
+// They carry no session id, so the auth middleware never accepts them.
+const createGuestAccessToken = (user) => {
+  return jwt.sign({ id: user._id, purpose: PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: process.env.GUEST_ACCESS_EXPIRE || '1h'
+  });
+};
+
+// Returns the guest user id, or null when the token is invalid or expired
+const verifyGuestAccessToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === PURPOSE ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  createGuestAccessToken,
+  verifyGuestAccessToken
+};
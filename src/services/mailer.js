@@ -0,0 +1,44 @@
+const nodemailer = require('nodemailer');
+
+let transport = null;
+
+// Create the nodemailer transport from env:
+//   EMAIL_TRANSPORT=json  - render messages to JSON without sending (tests, local development)
+//   otherwise SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS (e.g. a local MailHog/smtp4dev stand-in)
+const createTransport = () => {
+  if (process.env.EMAIL_TRANSPORT === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+};
+
+const getTransport = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+// Replace the transport, e.g. with a mock in tests
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendMail = (message) => {
+  return getTransport().sendMail({
+    from: process.env.EMAIL_FROM || 'Car Rental <no-reply@example.com>',
+    ...message
+  });
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,136 @@
+const Car = require('../models/Car');
+const Booking = require('../models/Booking');
+const Maintenance = require('../models/Maintenance');
+const { ReservationError, buildConflictQuery, withCarLock } = require('./reservation');
+const { sendEmail } = require('./notifications');
+
+const SERVICE_CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// A car is due for service after SERVICE_INTERVAL_KM driven or
+// SERVICE_INTERVAL_DAYS elapsed since its last service (or since it was added)
+const getServiceInterval = () => ({
+  km: numberFromEnv('SERVICE_INTERVAL_KM', 15000),
+  days: numberFromEnv('SERVICE_INTERVAL_DAYS', 365)
+});
+
+// Check the car has no bookings in the range and save the maintenance block.
+// Runs under the car lock so a booking cannot be created for the same dates meanwhile.
+const scheduleMaintenance = (maintenance) => {
+  return withCarLock(maintenance.car, async () => {
+    const conflicts = await Booking.find(buildConflictQuery(maintenance.car, maintenance.startDate, maintenance.endDate))
+      .select('startDate endDate status');
+    if (conflicts.length > 0) {
+      const error = new ReservationError('Car has bookings during this period', 409);
+      error.conflicts = conflicts;
+      throw error;
+    }
+
+    return maintenance.save();
+  });
+};
+
+// Record a completed service on the car so the next reminder is measured from it
+const recordService = async (maintenance) => {
+  if (maintenance.type !== 'service' || maintenance.status !== 'completed') return;
+
+  const car = await Car.findById(maintenance.car);
+  if (!car) return;
+
+  car.service = {
+    lastServiceAt: maintenance.completedAt || maintenance.endDate,
+    lastServiceMileage: maintenance.odometer !== undefined ? maintenance.odometer : car.mileage
+  };
+  if (maintenance.odometer > car.mileage) car.mileage = maintenance.odometer;
+
+  await car.save();
+};
+
+// Why the car is due for service, or an empty list when it is not
+const serviceDueReasons = (car, { now = new Date(), interval = getServiceInterval() } = {}) => {
+  const reasons = [];
+  const service = car.service || {};
+
+  // Cars without a recorded baseline are measured from their current mileage
+  const baseline = service.lastServiceMileage !== undefined ? service.lastServiceMileage : car.mileage;
+  const distance = car.mileage - baseline;
+  if (distance >= interval.km) {
+    reasons.push(`${distance} km driven since the last service (interval ${interval.km} km)`);
+  }
+
+  const since = service.lastServiceAt || car.createdAt;
+  const days = Math.floor((now - since) / (24 * 60 * 60 * 1000));
+  if (since && days >= interval.days) {
+    reasons.push(`${days} days since the last service (interval ${interval.days} days)`);
+  }
+
+  return reasons;
+};
+
+// Email the fleet team about every car that is due for service and has no
+// upcoming service scheduled. Each car is reminded once per service cycle.
+const sendServiceReminders = async (now = new Date()) => {
+  const interval = getServiceInterval();
+  const cutoff = new Date(now.getTime() - interval.days * 24 * 60 * 60 * 1000);
+
+  // Cars added before service tracking have no mileage baseline; start it from
+  // their current mileage rather than zero so they are not all reported as overdue
+  await Car.updateMany(
+    { 'service.lastServiceMileage': { $exists: false } },
+    [{ $set: { 'service.lastServiceMileage': '$mileage' } }]
+  );
+
+  const cars = await Car.find({
+    isRetired: { $ne: true },
+    'service.reminderSentAt': { $exists: false },
+    $or: [
+      { $expr: { $gte: [{ $subtract: ['$mileage', { $ifNull: ['$service.lastServiceMileage', '$mileage'] }] }, interval.km] } },
+      { 'service.lastServiceAt': { $lte: cutoff } },
+      { 'service.lastServiceAt': { $exists: false }, createdAt: { $lte: cutoff } }
+    ]
+  });
+
+  const scheduled = await Maintenance.distinct('car', {
+    car: { $in: cars.map(car => car._id) },
+    type: 'service',
+    status: { $in: ['scheduled', 'in_progress'] }
+  });
+
+  for (const car of cars) {
+    if (scheduled.some(id => id.equals(car._id))) continue;
+
+    // Claim the reminder first so concurrent runs cannot send it twice
+    const claimed = await Car.updateOne(
+      { _id: car._id, 'service.reminderSentAt': { $exists: false } },
+      { 'service.reminderSentAt': now }
+    );
+    if (claimed.modifiedCount > 0) {
+      sendEmail('serviceDue', process.env.FLEET_NOTIFY_EMAIL, {
+        car,
+        reasons: serviceDueReasons(car, { now, interval })
+      });
+    }
+  }
+};
+
+const startServiceReminderScheduler = () => {
+  const run = () => sendServiceReminders().catch(error => {
+    console.error('Service reminder run failed:', error.message);
+  });
+
+  run();
+  return setInterval(run, SERVICE_CHECK_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  getServiceInterval,
+  scheduleMaintenance,
+  recordService,
+  serviceDueReasons,
+  sendServiceReminders,
+  startServiceReminderScheduler
+};
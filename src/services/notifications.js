@@ -0,0 +1,164 @@
+const Booking = require('../models/Booking');
+const templates = require('./emailTemplates');
+const { sendMail } = require('./mailer');
+const { bookingEvents } = require('./bookingStatus');
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 1000;
+const REMINDER_INTERVAL_MS = 60 * 60 * 1000;
+const REMINDER_LEAD_HOURS = 24;
+
+// In-process email queue. Jobs are retried with exponential backoff and failures
+// are only logged, so sending an email never fails the request that triggered it.
+const queue = [];
+let processing = false;
+
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  while (queue.length > 0) {
+    const job = queue.shift();
+    try {
+      await sendMail(job.message);
+    } catch (error) {
+      job.attempts++;
+      if (job.attempts < MAX_ATTEMPTS) {
+        const delay = RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1);
+        setTimeout(() => {
+          queue.push(job);
+          processQueue();
+        }, delay).unref();
+      } else {
+        console.error(`Giving up on "${job.message.subject}" email to ${job.message.to}: ${error.message}`);
+      }
+    }
+  }
+
+  processing = false;
+};
+
+// Render `template` with `data` and queue it for delivery to `to`
+const sendEmail = (template, to, data) => {
+  if (!to) return;
+
+  try {
+    const message = { to, ...templates[template](data) };
+    queue.push({ message, attempts: 0 });
+    setImmediate(processQueue);
+  } catch (error) {
+    console.error(`Could not render "${template}" email: ${error.message}`);
+  }
+};
+
+// Recipient name and address for a booking, which must have `user` populated
+const bookingRecipient = (booking) => {
+  if (booking.isGuestBooking && booking.guestInfo && booking.guestInfo.email) {
+    return { name: booking.guestInfo.name, email: booking.guestInfo.email };
+  }
+  return { name: booking.user && booking.user.name, email: booking.user && booking.user.email };
+};
+
+// Load a booking with the fields templates need and send it `template`
+const sendBookingEmail = async (template, bookingId, data = {}) => {
+  try {
+    const booking = await Booking.findById(bookingId)
+      .populate('user', 'name email')
+      .populate('car', 'name brand model');
+    if (!booking) return;
+
+    const { name, email } = bookingRecipient(booking);
+    sendEmail(template, email, { ...data, booking, name });
+  } catch (error) {
+    console.error(`Could not send "${template}" email for booking ${bookingId}: ${error.message}`);
+  }
+};
+
+// Links in emails point at the frontend, which calls the matching API endpoint
+const clientUrl = (path) => `${process.env.CLIENT_URL || 'http://localhost:3000'}${path}`;
+
+const notifyRegistration = (user, verificationToken) => sendEmail('registration', user.email, {
+  user,
+  verifyUrl: verificationToken ? clientUrl(`/verify-email/${verificationToken}`) : undefined
+});
+const notifyEmailVerification = (user, token) => sendEmail('emailVerification', user.email, {
+  user,
+  verifyUrl: clientUrl(`/verify-email/${token}`)
+});
+const notifyPasswordReset = (user, token) => sendEmail('passwordReset', user.email, {
+  user,
+  resetUrl: clientUrl(`/reset-password/${token}`)
+});
+const notifyPasswordChanged = (user) => sendEmail('passwordChanged', user.email, { user });
+// Sent to the address the account had before, in case the change was not the owner's
+const notifyEmailChanged = (user, previousEmail) => sendEmail('emailChanged', previousEmail, { user });
+const notifyAccountClaim = (user, token) => sendEmail('accountClaim', user.email, {
+  user,
+  claimUrl: clientUrl(`/claim-account/${token}`)
+});
+const notifyGuestBookingAccess = (user, token) => sendEmail('guestBookingAccess', user.email, {
+  user,
+  accessUrl: clientUrl(`/guest/bookings/${token}`)
+});
+const notifyBookingCreated = (booking) => sendBookingEmail('bookingCreated', booking._id);
+const notifyPaymentReceived = (booking) => sendBookingEmail('receipt', booking._id);
+const notifyBookingModified = (booking, { difference, refunded }) => sendBookingEmail('bookingModified', booking._id, {
+  difference,
+  refunded
+});
+const notifyWaitlistOffer = (booking) => sendBookingEmail('waitlistOffer', booking._id, {
+  bookingUrl: clientUrl(`/bookings/${booking._id}`)
+});
+
+const transitionTemplates = {
+  confirmed: 'bookingConfirmed',
+  cancelled: 'bookingCancelled'
+};
+
+bookingEvents.on('transition', ({ booking, to }) => {
+  if (transitionTemplates[to]) sendBookingEmail(transitionTemplates[to], booking._id);
+});
+
+// Send reminders for confirmed bookings starting within REMINDER_LEAD_HOURS
+const sendPickupReminders = async (now = new Date()) => {
+  const bookings = await Booking.find({
+    status: 'confirmed',
+    startDate: { $gt: now, $lte: new Date(now.getTime() + REMINDER_LEAD_HOURS * 3600 * 1000) },
+    'notifications.pickupReminderSentAt': { $exists: false }
+  }).select('_id');
+
+  for (const { _id } of bookings) {
+    // Claim the reminder first so concurrent runs cannot send it twice
+    const claimed = await Booking.updateOne(
+      { _id, 'notifications.pickupReminderSentAt': { $exists: false } },
+      { 'notifications.pickupReminderSentAt': now }
+    );
+    if (claimed.modifiedCount > 0) await sendBookingEmail('pickupReminder', _id);
+  }
+};
+
+const startReminderScheduler = () => {
+  const run = () => sendPickupReminders().catch(error => {
+    console.error('Pickup reminder run failed:', error.message);
+  });
+
+  run();
+  return setInterval(run, REMINDER_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  sendEmail,
+  notifyRegistration,
+  notifyEmailVerification,
+  notifyPasswordReset,
+  notifyPasswordChanged,
+  notifyEmailChanged,
+  notifyAccountClaim,
+  notifyGuestBookingAccess,
+  notifyBookingCreated,
+  notifyPaymentReceived,
+  notifyBookingModified,
+  notifyWaitlistOffer,
+  sendPickupReminders,
+  startReminderScheduler
+};
@@ -0,0 +1,110 @@
+const { getStripe, toMinorUnits } = require('./stripe');
+const { roundMoney } = require('./pricing');
+
+// Card payments collected for a booking (the original PaymentIntent and any
+// paid adjustment charges), newest first, with how much of each can still be refunded
+const refundablePayments = (booking) => {
+  const adjustments = booking.paymentAdjustments || [];
+  const payments = [];
+
+  if (booking.stripePaymentIntentId && ['paid', 'partially_refunded', 'refunded'].includes(booking.paymentStatus)) {
+    payments.push({
+      paymentIntentId: booking.stripePaymentIntentId,
+      amount: booking.amountPaid !== undefined ? booking.amountPaid : booking.totalAmount
+    });
+  }
+  adjustments
+    .filter(adjustment => adjustment.kind === 'charge' && adjustment.status === 'succeeded')
+    .forEach(adjustment => payments.push({
+      paymentIntentId: adjustment.stripePaymentIntentId,
+      amount: adjustment.amount
+    }));
+
+  return payments.reverse().map(payment => {
+    const refunded = adjustments
+      .filter(adjustment => adjustment.kind === 'refund' && adjustment.stripePaymentIntentId === payment.paymentIntentId)
+      .reduce((sum, adjustment) => sum + adjustment.amount, 0);
+    return { ...payment, refundable: roundMoney(payment.amount - refunded) };
+  });
+};
+
+// Refund `amount` across the booking's card payments and record each refund in
+// booking.paymentAdjustments. `key` makes retries idempotent. The caller saves the booking.
+const refundBooking = async (booking, amount, { reason, key }) => {
+  const refunds = [];
+  let remaining = roundMoney(amount);
+
+  for (const payment of refundablePayments(booking)) {
+    if (remaining <= 0) break;
+
+    const part = Math.min(remaining, payment.refundable);
+    if (part <= 0) continue;
+
+    const refund = await getStripe().refunds.create({
+      payment_intent: payment.paymentIntentId,
+      amount: toMinorUnits(part)
+    }, {
+      idempotencyKey: `${key}-${payment.paymentIntentId}`
+    });
+
+    booking.paymentAdjustments.push({
+      kind: 'refund',
+      amount: part,
+      stripePaymentIntentId: payment.paymentIntentId,
+      stripeRefundId: refund.id,
+      status: 'succeeded',
+      reason
+    });
+    refunds.push(refund);
+    remaining = roundMoney(remaining - part);
+  }
+
+  return refunds;
+};
+
+// PaymentIntent states in which the customer can still pay, so the intent can be cancelled
+const CANCELLABLE_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action', 'requires_capture'];
+
+// Balance charges created by POST /api/bookings/:id/pay that have not been paid yet
+const findOpenCharge = (booking) => (booking.paymentAdjustments || [])
+  .filter(adjustment => adjustment.kind === 'charge' && ['pending', 'failed'].includes(adjustment.status))
+  .pop();
+
+// Cancel `paymentIntentId` if it can still be paid. Returns whether it is now cancelled.
+const cancelPaymentIntent = async (paymentIntentId) => {
+  const stripe = getStripe();
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+  if (paymentIntent.status === 'canceled') return true;
+  if (!CANCELLABLE_STATUSES.includes(paymentIntent.status)) return false;
+
+  await stripe.paymentIntents.cancel(paymentIntentId);
+  return true;
+};
+
+// Cancel the PaymentIntents a cancelled booking could still be paid through: its own
+// intent while unpaid and any open balance charge. Payments already under way are
+// refunded by the webhook when they complete. The caller saves the booking.
+const cancelOpenPayments = async (booking) => {
+  const charge = findOpenCharge(booking);
+  const pending = [];
+  if (booking.stripePaymentIntentId && !booking.paidAt) pending.push({ paymentIntentId: booking.stripePaymentIntentId });
+  if (charge) pending.push({ paymentIntentId: charge.stripePaymentIntentId, charge });
+
+  for (const { paymentIntentId, charge: adjustment } of pending) {
+    try {
+      const cancelled = await cancelPaymentIntent(paymentIntentId);
+      if (cancelled && adjustment) adjustment.status = 'cancelled';
+    } catch (error) {
+      console.error(`Could not cancel PaymentIntent ${paymentIntentId} of booking ${booking._id}: ${error.message}`);
+    }
+  }
+};
+
+module.exports = {
+  refundablePayments,
+  refundBooking,
+  findOpenCharge,
+  cancelPaymentIntent,
+  cancelOpenPayments
+};
@@ -0,0 +1,181 @@
+const moment = require('moment');
+const defaultConfig = require('../config/pricing');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const countDays = (start, end) => Math.ceil((end.getTime() - start.getTime()) / (1000 * 3600 * 24));
+
+// Whether an MM-DD string falls inside a season, handling ranges that wrap the year end
+const inSeason = (monthDay, season) => {
+  if (season.from <= season.to) {
+    return monthDay >= season.from && monthDay <= season.to;
+  }
+  return monthDay >= season.from || monthDay <= season.to;
+};
+
+const isOneWay = (pickupLocation, returnLocation) => {
+  if (!pickupLocation || !returnLocation) return false;
+  return String(pickupLocation).trim().toLowerCase() !== String(returnLocation).trim().toLowerCase();
+};
+
+// Calculate an itemized price for renting `car` between `startDate` and `endDate`,
+// optionally applying a `coupon` ({ code, discountType, value }). One-way fees
+// compare pickupBranch/returnBranch ids, or the location names when no branches are given.
+// Returns { totalDays, currency, items, subtotal, taxPercent, tax, total, securityDeposit }.
+// Discount items carry negative amounts. The security deposit is collected at
+// pickup and is not part of `total`.
+const calculatePrice = ({ car, startDate, endDate, pickupBranch, returnBranch, pickupLocation, returnLocation, coupon }, config = defaultConfig) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const totalDays = countDays(start, end);
+  const items = [];
+
+  let weekendDays = 0;
+  let weekendSurcharge = 0;
+  const seasonSurcharges = {};
+
+  for (let i = 0; i < totalDays; i++) {
+    const day = moment.utc(start).add(i, 'days');
+    let dayRate = car.pricePerDay;
+
+    if (config.weekendDays.includes(day.day())) {
+      weekendDays++;
+      weekendSurcharge += dayRate * (config.weekendMultiplier - 1);
+      dayRate *= config.weekendMultiplier;
+    }
+
+    const season = config.seasons.find(s => inSeason(day.format('MM-DD'), s));
+    if (season) {
+      const entry = seasonSurcharges[season.name] || { season, days: 0, amount: 0 };
+      entry.days++;
+      entry.amount += dayRate * (season.multiplier - 1);
+      seasonSurcharges[season.name] = entry;
+    }
+  }
+
+  items.push({
+    code: 'base',
+    description: `${totalDays} day(s) x ${car.pricePerDay}`,
+    amount: roundMoney(totalDays * car.pricePerDay)
+  });
+
+  if (weekendSurcharge > 0) {
+    items.push({
+      code: 'weekend',
+      description: `Weekend rate (${weekendDays} day(s))`,
+      amount: roundMoney(weekendSurcharge)
+    });
+  }
+
+  Object.values(seasonSurcharges).forEach(({ season, days, amount }) => {
+    if (amount === 0) return;
+    items.push({
+      code: `season:${season.name}`,
+      description: `${season.label} (${days} day(s))`,
+      amount: roundMoney(amount)
+    });
+  });
+
+  const rentalAmount = items.reduce((sum, item) => sum + item.amount, 0);
+
+  const discount = config.durationDiscounts
+    .filter(d => totalDays >= d.minDays)
+    .sort((a, b) => b.percent - a.percent)[0];
+  if (discount && discount.percent > 0) {
+    items.push({
+      code: `discount:${discount.name}`,
+      description: `${discount.label} (${discount.percent}%)`,
+      amount: -roundMoney(rentalAmount * discount.percent / 100)
+    });
+  }
+
+  if (coupon) {
+    const discounted = items.reduce((sum, item) => sum + item.amount, 0);
+    const couponDiscount = coupon.discountType === 'percent'
+      ? discounted * coupon.value / 100
+      : Math.min(coupon.value, discounted);
+    if (couponDiscount > 0) {
+      items.push({
+        code: `coupon:${coupon.code}`,
+        description: coupon.discountType === 'percent'
+          ? `Coupon ${coupon.code} (${coupon.value}%)`
+          : `Coupon ${coupon.code}`,
+        amount: -roundMoney(couponDiscount)
+      });
+    }
+  }
+
+  const oneWay = pickupBranch && returnBranch
+    ? String(pickupBranch) !== String(returnBranch)
+    : isOneWay(pickupLocation, returnLocation);
+
+  if (oneWay && config.oneWayFee > 0) {
+    items.push({
+      code: 'one_way',
+      description: 'One-way fee',
+      amount: roundMoney(config.oneWayFee)
+    });
+  }
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.amount, 0));
+  const tax = roundMoney(subtotal * config.taxPercent / 100);
+  const total = roundMoney(subtotal + tax);
+
+  const deposits = config.securityDeposit;
+  const securityDeposit = deposits[car.category] !== undefined ? deposits[car.category] : deposits.default;
+
+  return {
+    totalDays,
+    currency: config.currency,
+    items,
+    subtotal,
+    taxPercent: config.taxPercent,
+    tax,
+    total,
+    securityDeposit
+  };
+};
+
+// Extra charges due when a rental is returned: excess distance and late return.
+// Returns { distance, includedDistance, lateMinutes, items, total }.
+const calculateReturnCharges = ({ car, booking, odometer, returnedAt }, config = defaultConfig) => {
+  const items = [];
+
+  const distance = Math.max(0, odometer - booking.conditionReport.checkOut.odometer);
+  const includedDistance = booking.totalDays * config.includedKmPerDay;
+  const excessDistance = Math.max(0, distance - includedDistance);
+  if (excessDistance > 0) {
+    items.push({
+      code: 'excess_km',
+      description: `${excessDistance} km over the ${includedDistance} km included`,
+      amount: roundMoney(excessDistance * config.excessKmRate)
+    });
+  }
+
+  const lateMinutes = Math.max(0, Math.floor((new Date(returnedAt).getTime() - new Date(booking.endDate).getTime()) / (60 * 1000)));
+  if (lateMinutes > config.lateReturnGraceMinutes) {
+    const lateHours = Math.ceil(lateMinutes / 60);
+    const fullDays = Math.floor(lateHours / 24);
+    const hourlyFee = car.pricePerDay * config.lateReturnHourlyPercent / 100;
+    const amount = fullDays * car.pricePerDay + Math.min((lateHours % 24) * hourlyFee, car.pricePerDay);
+    items.push({
+      code: 'late_return',
+      description: `Late return (${lateHours} hour(s))`,
+      amount: roundMoney(amount)
+    });
+  }
+
+  return {
+    distance,
+    includedDistance,
+    lateMinutes,
+    items,
+    total: roundMoney(items.reduce((sum, item) => sum + item.amount, 0))
+  };
+};
+
+module.exports = {
+  calculatePrice,
+  calculateReturnCharges,
+  roundMoney
+};
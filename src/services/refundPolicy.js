@@ -0,0 +1,47 @@
+// Refund policy for cancelled bookings. All thresholds are configurable via env:
+//   REFUND_FULL_HOURS       - cancel at least this many hours before startDate for a full refund (default 48)
+//   REFUND_PARTIAL_HOURS    - cancel at least this many hours before startDate for a partial refund (default 0)
+//   REFUND_PARTIAL_PERCENT  - percentage refunded inside the partial window (default 50)
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const getRefundPolicy = () => ({
+  fullRefundHours: numberFromEnv('REFUND_FULL_HOURS', 48),
+  partialRefundHours: numberFromEnv('REFUND_PARTIAL_HOURS', 0),
+  partialRefundPercent: numberFromEnv('REFUND_PARTIAL_PERCENT', 50)
+});
+
+// Work out how much of a booking should be refunded if it is cancelled at `now`.
+// Returns { percent, amount, rule } where rule describes which part of the policy applied.
+const calculateRefund = (booking, now = new Date(), policy = getRefundPolicy()) => {
+  const none = (rule) => ({ percent: 0, amount: 0, rule });
+
+  if (booking.paymentStatus !== 'paid') return none('not_paid');
+  if (booking.status === 'active') return none('rental_started');
+
+  const hoursUntilStart = (new Date(booking.startDate).getTime() - now.getTime()) / (1000 * 3600);
+
+  let percent;
+  let rule;
+  if (hoursUntilStart >= policy.fullRefundHours) {
+    percent = 100;
+    rule = 'full';
+  } else if (hoursUntilStart >= policy.partialRefundHours) {
+    percent = policy.partialRefundPercent;
+    rule = 'partial';
+  } else {
+    return none('too_late');
+  }
+
+  // Only what has actually been collected can be refunded
+  const collected = booking.totalAmount - (booking.balanceDue || 0);
+  const amount = Math.round(collected * percent) / 100;
+  return { percent, amount, rule };
+};
+
+module.exports = {
+  getRefundPolicy,
+  calculateRefund
+};
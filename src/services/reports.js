@@ -0,0 +1,225 @@
+const Booking = require('../models/Booking');
+const Car = require('../models/Car');
+const Branch = require('../models/Branch');
+const User = require('../models/User');
+const { roundMoney } = require('./pricing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// $dateToString formats for time buckets (UTC); weeks are ISO weeks
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+// Bookings that brought in money. Revenue is the rental total plus extra
+// charges from check-in, minus any unpaid balance (which includes extra charges
+// not collected yet) and anything refunded on cancellation.
+const REVENUE_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+const revenueExpression = {
+  $subtract: [
+    { $add: ['$totalAmount', { $ifNull: ['$extraChargesTotal', 0] }] },
+    { $add: [{ $ifNull: ['$balanceDue', 0] }, { $ifNull: ['$cancellation.refundAmount', 0] }] }
+  ]
+};
+
+// Revenue is attributed to the date the booking was paid
+const paidInRange = (from, to) => ({
+  paymentStatus: { $in: REVENUE_STATUSES },
+  $expr: {
+    $and: [
+      { $gte: [{ $ifNull: ['$paidAt', '$createdAt'] }, from] },
+      { $lt: [{ $ifNull: ['$paidAt', '$createdAt'] }, to] }
+    ]
+  }
+});
+
+const roundRows = (rows, fields) => rows.map(row => {
+  fields.forEach(field => { row[field] = roundMoney(row[field] || 0); });
+  return row;
+});
+
+// Revenue per day, week or month
+const revenueOverTime = async ({ from, to, groupBy = 'day' }) => {
+  const rows = await Booking.aggregate([
+    { $match: paidInRange(from, to) },
+    {
+      $group: {
+        _id: { $dateToString: { format: PERIOD_FORMATS[groupBy], date: { $ifNull: ['$paidAt', '$createdAt'] } } },
+        bookings: { $sum: 1 },
+        revenue: { $sum: revenueExpression }
+      }
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, period: '$_id', bookings: 1, revenue: 1 } }
+  ]);
+
+  return {
+    columns: ['period', 'bookings', 'revenue'],
+    rows: roundRows(rows, ['revenue'])
+  };
+};
+
+// Revenue per car category or per pickup branch
+const revenueBreakdown = async ({ from, to, groupBy = 'category' }) => {
+  const pipeline = [{ $match: paidInRange(from, to) }];
+
+  if (groupBy === 'branch') {
+    pipeline.push(
+      { $lookup: { from: Branch.collection.name, localField: 'pickupBranch', foreignField: '_id', as: 'branch' } },
+      { $set: { key: { $ifNull: [{ $first: '$branch.name' }, '$pickupLocation'] } } }
+    );
+  } else {
+    pipeline.push(
+      { $lookup: { from: Car.collection.name, localField: 'car', foreignField: '_id', as: 'car' } },
+      { $set: { key: { $first: '$car.category' } } }
+    );
+  }
+
+  pipeline.push(
+    { $group: { _id: '$key', bookings: { $sum: 1 }, revenue: { $sum: revenueExpression } } },
+    { $sort: { revenue: -1 } },
+    { $project: { _id: 0, [groupBy]: '$_id', bookings: 1, revenue: 1 } }
+  );
+
+  const rows = await Booking.aggregate(pipeline);
+
+  return {
+    columns: [groupBy, 'bookings', 'revenue'],
+    rows: roundRows(rows, ['revenue'])
+  };
+};
+
+// Share of the window each car spent on rental (confirmed, active or completed bookings)
+const fleetUtilization = async ({ from, to }) => {
+  const windowMs = to - from;
+
+  const rows = await Car.aggregate([
+    { $match: { isRetired: { $ne: true } } },
+    {
+      $lookup: {
+        from: Booking.collection.name,
+        let: { carId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              status: { $in: ['confirmed', 'active', 'completed'] },
+              startDate: { $lt: to },
+              endDate: { $gt: from },
+              $expr: { $eq: ['$car', '$$carId'] }
+            }
+          },
+          {
+            $project: {
+              ms: { $subtract: [{ $min: ['$endDate', to] }, { $max: ['$startDate', from] }] }
+            }
+          }
+        ],
+        as: 'rentals'
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        car: { $toString: '$_id' },
+        name: 1,
+        category: 1,
+        bookings: { $size: '$rentals' },
+        rentedDays: { $divide: [{ $sum: '$rentals.ms' }, DAY_MS] },
+        utilization: { $multiply: [{ $divide: [{ $sum: '$rentals.ms' }, windowMs] }, 100] }
+      }
+    },
+    { $sort: { utilization: -1 } }
+  ]);
+
+  return {
+    columns: ['car', 'name', 'category', 'bookings', 'rentedDays', 'utilization'],
+    rows: roundRows(rows, ['rentedDays', 'utilization'])
+  };
+};
+
+// Bookings created per period with cancellation rate and average rental length
+const bookingStats = async ({ from, to, groupBy = 'month' }) => {
+  const rows = await Booking.aggregate([
+    { $match: { createdAt: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: PERIOD_FORMATS[groupBy], date: '$createdAt' } },
+        bookings: { $sum: 1 },
+        cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+        averageRentalDays: {
+          $avg: {
+            $cond: [
+              { $ne: ['$status', 'cancelled'] },
+              { $divide: [{ $subtract: ['$endDate', '$startDate'] }, DAY_MS] },
+              null
+            ]
+          }
+        }
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        period: '$_id',
+        bookings: 1,
+        cancelled: 1,
+        cancellationRate: { $multiply: [{ $divide: ['$cancelled', '$bookings'] }, 100] },
+        averageRentalDays: 1
+      }
+    }
+  ]);
+
+  return {
+    columns: ['period', 'bookings', 'cancelled', 'cancellationRate', 'averageRentalDays'],
+    rows: roundRows(rows, ['cancellationRate', 'averageRentalDays'])
+  };
+};
+
+// Customers ranked by revenue
+const topCustomers = async ({ from, to, limit = 10 }) => {
+  const rows = await Booking.aggregate([
+    { $match: paidInRange(from, to) },
+    { $group: { _id: '$user', bookings: { $sum: 1 }, revenue: { $sum: revenueExpression } } },
+    { $sort: { revenue: -1 } },
+    { $limit: limit },
+    { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } },
+    {
+      $project: {
+        _id: 0,
+        user: { $toString: '$_id' },
+        name: { $first: '$user.name' },
+        email: { $first: '$user.email' },
+        role: { $first: '$user.role' },
+        bookings: 1,
+        revenue: 1
+      }
+    }
+  ]);
+
+  return {
+    columns: ['user', 'name', 'email', 'role', 'bookings', 'revenue'],
+    rows: roundRows(rows, ['revenue'])
+  };
+};
+
+// Report name -> builder and the groupBy values it accepts (first is the default)
+const REPORTS = {
+  revenue: { build: revenueOverTime, groupBy: ['day', 'week', 'month'] },
+  'revenue-breakdown': { build: revenueBreakdown, groupBy: ['category', 'branch'] },
+  utilization: { build: fleetUtilization, groupBy: [] },
+  bookings: { build: bookingStats, groupBy: ['month', 'week', 'day'] },
+  'top-customers': { build: topCustomers, groupBy: [] }
+};
+
+module.exports = {
+  REPORTS,
+  revenueOverTime,
+  revenueBreakdown,
+  fleetUtilization,
+  bookingStats,
+  topCustomers
+};
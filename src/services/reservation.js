@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Maintenance = require('../models/Maintenance');
+const CarLock = require('../models/CarLock');
+const Branch = require('../models/Branch');
+
+const LOCK_TTL_MS = 10 * 1000;
+const LOCK_RETRY_DELAY_MS = 50;
+const LOCK_MAX_ATTEMPTS = 100;
+
+class ReservationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReservationError';
+    this.status = status;
+  }
+}
+
+// How long a pending (unconfirmed, unpaid) booking holds its dates.
+// Configurable via BOOKING_HOLD_MINUTES (default 24 hours).
+const getHoldWindowMs = () => {
+  const minutes = parseFloat(process.env.BOOKING_HOLD_MINUTES);
+  return (Number.isNaN(minutes) ? 24 * 60 : minutes) * 60 * 1000;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Query matching bookings that block the car for the given range: confirmed and
+// active bookings, plus pending bookings whose hold has not expired yet.
+// Pass a null carId to match blocking bookings of every car.
+const buildConflictQuery = (carId, start, end, { excludeBookingId, now = new Date() } = {}) => {
+  const query = {
+    startDate: { $lte: end },
+    endDate: { $gte: start },
+    $or: [
+      { status: { $in: ['confirmed', 'active'] } },
+      {
+        status: 'pending',
+        $or: [
+          { holdExpiresAt: { $gt: now } },
+          { holdExpiresAt: { $exists: false } }
+        ]
+      }
+    ]
+  };
+
+  if (carId) query.car = carId;
+  if (excludeBookingId) query._id = { $ne: excludeBookingId };
+
+  return query;
+};
+
+// Query matching scheduled or in-progress maintenance blocks of the car
+// overlapping the given range. Pass a null carId to match every car.
+const buildMaintenanceQuery = (carId, start, end, { excludeMaintenanceId } = {}) => {
+  const query = {
+    startDate: { $lte: end },
+    endDate: { $gte: start },
+    status: { $in: ['scheduled', 'in_progress'] }
+  };
+
+  if (carId) query.car = carId;
+  if (excludeMaintenanceId) query._id = { $ne: excludeMaintenanceId };
+
+  return query;
+};
+
+// Bookings and maintenance blocks that make the car unavailable for the range
+const findConflicts = async (carId, start, end, options = {}) => {
+  const [bookings, maintenance] = await Promise.all([
+    Booking.find(buildConflictQuery(carId, start, end, options)),
+    Maintenance.find(buildMaintenanceQuery(carId, start, end, options))
+  ]);
+
+  return [...bookings, ...maintenance];
+};
+
+// Ids of all cars that are booked or in maintenance at some point between start and end
+const findBookedCarIds = async (start, end) => {
+  const [booked, maintained] = await Promise.all([
+    Booking.distinct('car', buildConflictQuery(null, start, end)),
+    Maintenance.distinct('car', buildMaintenanceQuery(null, start, end))
+  ]);
+
+  return [...booked, ...maintained];
+};
+
+// Acquire the per-car lock. The upsert only matches an expired lock; if a live
+// lock exists the insert fails on the duplicate _id and we retry.
+const acquireLock = async (carId) => {
+  const owner = crypto.randomBytes(16).toString('hex');
+
+  for (let attempt = 0; attempt < LOCK_MAX_ATTEMPTS; attempt++) {
+    const now = new Date();
+    try {
+      await CarLock.findOneAndUpdate(
+        { _id: carId, expiresAt: { $lte: now } },
+        { $set: { owner, expiresAt: new Date(now.getTime() + LOCK_TTL_MS) } },
+        { upsert: true }
+      );
+      return owner;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      await sleep(LOCK_RETRY_DELAY_MS);
+    }
+  }
+
+  throw new ReservationError('Car is busy, please try again', 409);
+};
+
+const releaseLock = (carId, owner) => {
+  return CarLock.deleteOne({ _id: carId, owner });
+};
+
+// Run `fn` while holding the lock for `carId`
+const withCarLock = async (carId, fn) => {
+  const owner = await acquireLock(carId);
+  try {
+    return await fn();
+  } finally {
+    await releaseLock(carId, owner);
+  }
+};
+
+// Load the pickup and return branches of a booking and check they are open
+// at the pickup (startDate) and return (endDate) times
+const resolveBranches = async ({ pickupBranch, returnBranch, startDate, endDate }) => {
+  const [pickup, dropoff] = await Promise.all([
+    Branch.findOne({ _id: pickupBranch, isActive: true }),
+    Branch.findOne({ _id: returnBranch, isActive: true })
+  ]);
+
+  if (!pickup) throw new ReservationError('Pickup branch not found', 404);
+  if (!dropoff) throw new ReservationError('Return branch not found', 404);
+
+  if (!pickup.isOpenAt(startDate)) {
+    throw new ReservationError(`${pickup.name} is closed at the selected pickup time`);
+  }
+  if (!dropoff.isOpenAt(endDate)) {
+    throw new ReservationError(`${dropoff.name} is closed at the selected return time`);
+  }
+
+  return { pickupBranch: pickup, returnBranch: dropoff };
+};
+
+// Atomically check for conflicting bookings and create a new one.
+// Pending bookings are held for the default window unless `holdExpiresAt` is given.
+const reserveCar = ({ car, startDate, endDate, ...data }) => {
+  return withCarLock(car, async () => {
+    const conflicts = await findConflicts(car, startDate, endDate);
+    if (conflicts.length > 0) {
+      throw new ReservationError('Car is not available for the selected dates');
+    }
+
+    const status = data.status || 'pending';
+    return Booking.create({
+      ...data,
+      car,
+      startDate,
+      endDate,
+      status,
+      statusHistory: [{ to: status, actor: data.user, note: 'Booking created' }],
+      holdExpiresAt: status === 'pending' ? data.holdExpiresAt || new Date(Date.now() + getHoldWindowMs()) : undefined
+    });
+  });
+};
+
+module.exports = {
+  ReservationError,
+  buildConflictQuery,
+  buildMaintenanceQuery,
+  findConflicts,
+  findBookedCarIds,
+  withCarLock,
+  resolveBranches,
+  reserveCar
+};
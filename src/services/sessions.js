@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+class SessionError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Short-lived access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
+  });
+};
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const newRefreshSecret = () => crypto.randomBytes(48).toString('hex');
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    throw new SessionError('Invalid refresh token');
+  }
+  return { sessionId, secret };
+};
+
+// Start a session for `user` from request `req`; returns { token, refreshToken, session }
+const createSession = async (user, req) => {
+  const secret = newRefreshSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 3600 * 1000)
+  });
+
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    session
+  };
+};
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// Presenting an already-rotated refresh token revokes the session, since it
+// means the token was copied.
+const rotateSession = async (refreshToken, req) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const session = await Session.findById(sessionId).select('+refreshTokenHash');
+
+  if (!session || !session.isActive()) {
+    throw new SessionError('Session has expired, please log in again');
+  }
+
+  const newSecret = newRefreshSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashSecret(secret), revokedAt: { $exists: false } },
+    {
+      refreshTokenHash: hashSecret(newSecret),
+      lastUsedAt: new Date(),
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session._id);
+    throw new SessionError('Refresh token has already been used; session revoked');
+  }
+
+  return {
+    token: generateAccessToken(rotated.user, rotated._id),
+    refreshToken: `${rotated._id}.${newSecret}`,
+    session: rotated
+  };
+};
+
+const revokeSession = (sessionId) => {
+  return Session.updateOne({ _id: sessionId, revokedAt: { $exists: false } }, { revokedAt: new Date() });
+};
+
+// Revoke every session of a user, optionally keeping one (e.g. the current device)
+const revokeUserSessions = (userId, exceptSessionId) => {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+  return Session.updateMany(query, { revokedAt: new Date() });
+};
+
+module.exports = {
+  SessionError,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions
+};
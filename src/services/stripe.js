@@ -0,0 +1,36 @@
+const Stripe = require('stripe');
+
+let client = null;
+
+// Lazily create the Stripe client. STRIPE_API_HOST/PORT/PROTOCOL allow pointing
+// the client at a local Stripe stand-in (e.g. stripe-mock) during development.
+const getStripe = () => {
+  if (!client) {
+    const config = {};
+    if (process.env.STRIPE_API_HOST) config.host = process.env.STRIPE_API_HOST;
+    if (process.env.STRIPE_API_PORT) config.port = process.env.STRIPE_API_PORT;
+    if (process.env.STRIPE_API_PROTOCOL) config.protocol = process.env.STRIPE_API_PROTOCOL;
+
+    client = Stripe(process.env.STRIPE_SECRET_KEY, config);
+  }
+  return client;
+};
+
+// Replace the client, e.g. with a mock in tests
+const setStripe = (stripe) => {
+  client = stripe;
+};
+
+// Stripe expects amounts in the smallest currency unit
+const toMinorUnits = (amount) => Math.round(amount * 100);
+const fromMinorUnits = (amount) => amount / 100;
+
+const getCurrency = () => (process.env.STRIPE_CURRENCY || 'usd').toLowerCase();
+
+module.exports = {
+  getStripe,
+  setStripe,
+  toMinorUnits,
+  fromMinorUnits,
+  getCurrency
+};
@@ -0,0 +1,127 @@
+const Car = require('../models/Car');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { ReservationError } = require('./reservation');
+const { bookCar } = require('./bookings');
+const { bookingEvents, transitionBooking } = require('./bookingStatus');
+const { notifyWaitlistOffer } = require('./notifications');
+const { CouponError } = require('./coupons');
+
+const EXPIRY_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+// How long a freed car is held for the waitlisted customer it is offered to.
+// Configurable via WAITLIST_HOLD_MINUTES (default 2 hours).
+const getOfferWindowMs = () => {
+  const minutes = parseFloat(process.env.WAITLIST_HOLD_MINUTES);
+  return (Number.isNaN(minutes) ? 120 : minutes) * 60 * 1000;
+};
+
+// Try to hold `car` for the entry with a pending booking. Returns the booking,
+// or null when the entry was already served or the car is still not free for
+// the entry's whole range.
+const offerCar = async (entry, car) => {
+  // Claim the entry first so concurrent runs cannot offer it two cars
+  const claimed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'waiting' },
+    { status: 'offered', offeredAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  try {
+    const booking = await bookCar({
+      user: claimed.user,
+      car,
+      startDate: claimed.startDate,
+      endDate: claimed.endDate,
+      pickupBranch: claimed.pickupBranch,
+      returnBranch: claimed.returnBranch,
+      holdExpiresAt: new Date(Date.now() + getOfferWindowMs()),
+      specialRequests: 'Reserved from waitlist'
+    });
+
+    claimed.booking = booking._id;
+    await claimed.save();
+
+    notifyWaitlistOffer(booking);
+    return booking;
+  } catch (error) {
+    await WaitlistEntry.updateOne({ _id: claimed._id }, { status: 'waiting', $unset: { offeredAt: 1 } });
+    if (error instanceof ReservationError || error instanceof CouponError) return null;
+    throw error;
+  }
+};
+
+// `carId` became free between start and end (or altogether when no range is
+// given): offer it, in order, to customers waiting for that car or for its
+// category at its home branch. Errors are only logged so the action that freed
+// the car never fails because of the waitlist.
+const processWaitlist = async (carId, start, end, now = new Date()) => {
+  try {
+    const car = await Car.findById(carId);
+    if (!car || car.isRetired || !car.isAvailable) return;
+
+    // Entries whose rental would already have started can no longer be served
+    await WaitlistEntry.updateMany(
+      { status: 'waiting', startDate: { $lte: now } },
+      { status: 'expired' }
+    );
+
+    const entries = await WaitlistEntry.find({
+      status: 'waiting',
+      ...(start && end ? { startDate: { $lte: end }, endDate: { $gte: start } } : {}),
+      $or: [
+        { car: car._id },
+        { car: { $exists: false }, category: car.category, pickupBranch: car.branch }
+      ]
+    }).sort({ createdAt: 1 });
+
+    for (const entry of entries) {
+      await offerCar(entry, car);
+    }
+  } catch (error) {
+    console.error(`Waitlist processing failed for car ${carId}: ${error.message}`);
+  }
+};
+
+// Cancel holds that were not paid in time, which frees the car for the next entry
+const expireWaitlistOffers = async (now = new Date()) => {
+  const entries = await WaitlistEntry.find({ status: 'offered' }).populate('booking');
+
+  for (const entry of entries) {
+    const booking = entry.booking;
+    if (!booking || booking.status !== 'pending' || booking.holdExpiresAt > now) continue;
+
+    entry.status = 'expired';
+    await entry.save();
+    await transitionBooking(booking, 'cancelled', { note: 'Waitlist hold expired', now });
+  }
+};
+
+bookingEvents.on('transition', async ({ booking, to }) => {
+  if (to === 'confirmed') {
+    await WaitlistEntry.updateOne({ booking: booking._id, status: 'offered' }, { status: 'booked' })
+      .catch(error => console.error(`Could not update waitlist for booking ${booking._id}: ${error.message}`));
+  }
+
+  if (to === 'cancelled') {
+    await WaitlistEntry.updateOne({ booking: booking._id, status: 'offered' }, { status: 'cancelled' })
+      .catch(error => console.error(`Could not update waitlist for booking ${booking._id}: ${error.message}`));
+    await processWaitlist(booking.car, booking.startDate, booking.endDate);
+  }
+});
+
+const startWaitlistScheduler = () => {
+  const run = () => expireWaitlistOffers().catch(error => {
+    console.error('Waitlist expiry run failed:', error.message);
+  });
+
+  run();
+  return setInterval(run, EXPIRY_CHECK_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  getOfferWindowMs,
+  processWaitlist,
+  expireWaitlistOffers,
+  startWaitlistScheduler
+};
@@ -0,0 +1,110 @@
+// One-off migration: link cars and bookings created before branches existed to their branches.
+// Matches free-text locations against branch names and codes (case-insensitive).
+// Usage: npm run migrate:branches [-- --dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Branch = require('../models/Branch');
+const Booking = require('../models/Booking');
+const Car = require('../models/Car');
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Branches keyed by normalized name and code
+const loadBranches = async () => {
+  const branches = await Branch.find().select('name code');
+  const byKey = new Map();
+  branches.forEach(branch => {
+    byKey.set(normalize(branch.name), branch);
+    byKey.set(normalize(branch.code), branch);
+  });
+  return byKey;
+};
+
+// Returns { updated, unmatched } where `unmatched` lists cars that still need a branch set by hand
+const backfillCarBranches = async ({ dryRun = false } = {}) => {
+  const byKey = await loadBranches();
+  const cars = await Car.find({ branch: { $exists: false } }).select('name location');
+  const unmatched = [];
+  let updated = 0;
+
+  for (const car of cars) {
+    const branch = byKey.get(normalize(car.location));
+    if (!branch) {
+      unmatched.push({ id: String(car._id), name: car.name, location: car.location });
+      continue;
+    }
+
+    if (!dryRun) {
+      // updateOne skips validation of unrelated required fields on old documents
+      await Car.updateOne({ _id: car._id, branch: { $exists: false } }, { branch: branch._id, location: branch.name });
+    }
+    updated++;
+  }
+
+  return { updated, unmatched };
+};
+
+// Link bookings without a pickup or return branch, matching their pickup and return
+// locations and falling back to the car's home branch, so they can be modified.
+// Run after backfillCarBranches. Returns { updated, unmatched } like backfillCarBranches.
+const backfillBookingBranches = async ({ dryRun = false } = {}) => {
+  const byKey = await loadBranches();
+  const bookings = await Booking.find({
+    $or: [{ pickupBranch: { $exists: false } }, { returnBranch: { $exists: false } }]
+  }).select('car pickupBranch returnBranch pickupLocation returnLocation').populate('car', 'branch');
+  const unmatched = [];
+  let updated = 0;
+
+  for (const booking of bookings) {
+    const homeBranch = booking.car && booking.car.branch;
+    const branchFor = (location) => {
+      const branch = byKey.get(normalize(location));
+      return branch ? branch._id : homeBranch;
+    };
+    const pickupBranch = booking.pickupBranch || branchFor(booking.pickupLocation);
+    const returnBranch = booking.returnBranch || branchFor(booking.returnLocation);
+
+    if (!pickupBranch || !returnBranch) {
+      unmatched.push({ id: String(booking._id), pickupLocation: booking.pickupLocation, returnLocation: booking.returnLocation });
+      continue;
+    }
+
+    if (!dryRun) {
+      await Booking.updateOne({ _id: booking._id }, { pickupBranch, returnBranch });
+    }
+    updated++;
+  }
+
+  return { updated, unmatched };
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  const verb = dryRun ? 'Would link' : 'Linked';
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(async () => {
+      const cars = await backfillCarBranches({ dryRun });
+      console.log(`${verb} ${cars.updated} car(s) to their branch`);
+      if (cars.unmatched.length > 0) {
+        console.log(`${cars.unmatched.length} car(s) have no matching branch and must be assigned manually:`);
+        cars.unmatched.forEach(car => console.log(`  ${car.id}  ${car.name}  (location: ${car.location || 'none'})`));
+        process.exitCode = 1;
+      }
+
+      const bookings = await backfillBookingBranches({ dryRun });
+      console.log(`${verb} ${bookings.updated} booking(s) to their branches`);
+      if (bookings.unmatched.length > 0) {
+        console.log(`${bookings.unmatched.length} booking(s) have no matching branch and must be assigned manually:`);
+        bookings.unmatched.forEach(booking => console.log(`  ${booking.id}  (pickup: ${booking.pickupLocation || 'none'}, return: ${booking.returnLocation || 'none'})`));
+        process.exitCode = 1;
+      }
+    })
+    .catch(error => {
+      console.error('Backfill failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { backfillCarBranches, backfillBookingBranches };
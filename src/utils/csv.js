@@ -0,0 +1,83 @@
+// Minimal CSV helpers (RFC 4180 quoting)
+
+const csvEscape = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Prevent spreadsheet formula injection; plain numbers (e.g. negative amounts) are left as they are
+  const isNumber = typeof value === 'number' || /^-?\d+(\.\d+)?$/.test(text);
+  if (!isNumber && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => `${values.map(csvEscape).join(',')}\r\n`;
+
+// Build a CSV document from `rows` using `columns` ({ header, value(row) } or a key string)
+const toCsv = (rows, columns) => {
+  const cols = columns.map(col => (typeof col === 'string' ? { header: col, value: row => row[col] } : col));
+  return csvRow(cols.map(col => col.header)) + rows.map(row => csvRow(cols.map(col => col.value(row)))).join('');
+};
+
+// Parse a CSV document into objects keyed by the header row.
+// Handles quoted fields with embedded commas, quotes and newlines; blank lines are skipped.
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  const input = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const rows = records.filter(values => values.some(value => value.trim() !== ''));
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].map(header => header.trim());
+  return rows.slice(1).map(values => headers.reduce((row, header, index) => {
+    if (header && values[index] !== undefined && values[index] !== '') row[header] = values[index];
+    return row;
+  }, {}));
+};
+
+// Set headers for a CSV attachment download
+const sendCsvHeaders = (res, filename) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+};
+
+module.exports = {
+  csvEscape,
+  csvRow,
+  toCsv,
+  parseCsv,
+  sendCsvHeaders
+};
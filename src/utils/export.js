@@ -0,0 +1,54 @@
+const { csvRow, sendCsvHeaders } = require('./csv');
+
+// Resolve once `res` can take more data; rejects if the client disconnects first
+const waitForDrain = (res) => new Promise((resolve, reject) => {
+  const onDrain = () => {
+    res.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    res.off('drain', onDrain);
+    reject(new Error('Client closed the connection'));
+  };
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+});
+
+// Write a chunk, pausing while the response buffer is full so large exports are not held in memory
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) await waitForDrain(res);
+};
+
+// Stream documents from a Mongoose cursor as CSV or as a JSON array.
+// `columns` are { header, value(doc) }; JSON objects use the headers as keys.
+const streamExport = async (res, cursor, columns, { format = 'csv', filename }) => {
+  if (format === 'json') {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+    await write(res, '[');
+
+    let first = true;
+    for await (const doc of cursor) {
+      const row = columns.reduce((result, col) => {
+        result[col.header] = col.value(doc);
+        return result;
+      }, {});
+      await write(res, `${first ? '' : ','}\n${JSON.stringify(row)}`);
+      first = false;
+    }
+
+    res.end('\n]\n');
+    return;
+  }
+
+  sendCsvHeaders(res, `${filename}.csv`);
+  await write(res, csvRow(columns.map(col => col.header)));
+  for await (const doc of cursor) {
+    await write(res, csvRow(columns.map(col => col.value(doc))));
+  }
+  res.end();
+};
+
+module.exports = {
+  streamExport
+};
@@ -0,0 +1,62 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../src/middleware/auth', () => (req, res, next) => {
+  req.user = { id: 'admin1', role: 'admin' };
+  next();
+});
+jest.mock('../src/services/reports', () => ({
+  REPORTS: {
+    revenue: { build: jest.fn(), groupBy: ['day', 'week', 'month'] }
+  }
+}));
+
+const { REPORTS } = require('../src/services/reports');
+
+const app = express();
+app.use('/api/admin', require('../src/routes/admin'));
+
+beforeEach(() => {
+  REPORTS.revenue.build.mockReset().mockResolvedValue({
+    columns: ['period', 'bookings', 'revenue'],
+    rows: [{ period: '2030-01-01', bookings: 2, revenue: -15.5 }]
+  });
+});
+
+describe('GET /api/admin/reports/:report', () => {
+  it('runs the report for the requested range and grouping', async () => {
+    const res = await request(app).get('/api/admin/reports/revenue?from=2030-01-01&to=2030-02-01&groupBy=week');
+
+    expect(res.status).toBe(200);
+    expect(REPORTS.revenue.build).toHaveBeenCalledWith({
+      from: new Date('2030-01-01'),
+      to: new Date('2030-02-01'),
+      groupBy: 'week',
+      limit: 10
+    });
+    expect(res.body.data).toMatchObject({ report: 'revenue', groupBy: 'week', rows: [{ period: '2030-01-01' }] });
+  });
+
+  it('downloads the report as CSV', async () => {
+    const res = await request(app).get('/api/admin/reports/revenue?from=2030-01-01&to=2030-02-01&format=csv');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="revenue-2030-01-01-2030-02-01.csv"');
+    expect(res.text).toBe('period,bookings,revenue\r\n2030-01-01,2,-15.5\r\n');
+  });
+
+  it('rejects unsupported groupings', async () => {
+    const res = await request(app).get('/api/admin/reports/revenue?groupBy=year');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('groupBy must be one of: day, week, month');
+  });
+
+  it.each(['unknown', 'constructor', 'toString', '__proto__', 'hasOwnProperty'])('returns 404 for %s', async (name) => {
+    const res = await request(app).get(`/api/admin/reports/${name}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Report not found');
+  });
+});
@@ -0,0 +1,89 @@
+const Booking = require('../src/models/Booking');
+const Car = require('../src/models/Car');
+const { backfillCarBranches, backfillBookingBranches } = require('../src/utils/backfillBranches');
+const { describeWithDb, useTestDatabase } = require('./helpers/db');
+const { createBranch, createCar } = require('./helpers/factories');
+
+// Cars created before branches existed only have a free-text location
+const insertLegacyCar = async (location) => {
+  const { insertedId } = await Car.collection.insertOne({ name: `Legacy ${location}`, location, mileage: 0 });
+  return insertedId;
+};
+
+describeWithDb('backfillCarBranches', () => {
+  useTestDatabase();
+
+  it('links legacy cars to the branch named by their location', async () => {
+    const downtown = await createBranch({ name: 'Downtown', code: 'DTN' });
+    const airport = await createBranch({ name: 'Airport', code: 'APT' });
+    const byName = await insertLegacyCar('  downtown ');
+    const byCode = await insertLegacyCar('APT');
+
+    const result = await backfillCarBranches();
+
+    expect(result).toEqual({ updated: 2, unmatched: [] });
+    expect(await Car.findById(byName).lean()).toMatchObject({ branch: downtown._id, location: 'Downtown' });
+    expect(await Car.findById(byCode).lean()).toMatchObject({ branch: airport._id, location: 'Airport' });
+  });
+
+  it('reports cars without a matching branch and leaves linked cars alone', async () => {
+    const linked = await createCar({ location: 'Somewhere' });
+    const orphan = await insertLegacyCar('Harbour');
+
+    const result = await backfillCarBranches();
+
+    expect(result.updated).toBe(0);
+    expect(result.unmatched).toEqual([{ id: String(orphan), name: 'Legacy Harbour', location: 'Harbour' }]);
+    expect((await Car.findById(linked._id).lean()).location).toBe('Somewhere');
+  });
+
+  it('changes nothing on a dry run', async () => {
+    await createBranch({ name: 'Downtown', code: 'DTN' });
+    const legacy = await insertLegacyCar('Downtown');
+
+    const result = await backfillCarBranches({ dryRun: true });
+
+    expect(result.updated).toBe(1);
+    expect((await Car.findById(legacy).lean()).branch).toBeUndefined();
+  });
+});
+
+describeWithDb('backfillBookingBranches', () => {
+  useTestDatabase();
+
+  // Bookings made before branches existed only have free-text locations
+  const insertLegacyBooking = async (car, pickupLocation, returnLocation) => {
+    const { insertedId } = await Booking.collection.insertOne({ car: car._id, pickupLocation, returnLocation, status: 'confirmed' });
+    return insertedId;
+  };
+
+  it('links bookings to the branches named by their locations', async () => {
+    const downtown = await createBranch({ name: 'Downtown', code: 'DTN' });
+    const airport = await createBranch({ name: 'Airport', code: 'APT' });
+    const car = await createCar({ branch: downtown._id });
+    const legacy = await insertLegacyBooking(car, 'downtown', 'APT');
+
+    const result = await backfillBookingBranches();
+
+    expect(result).toEqual({ updated: 1, unmatched: [] });
+    expect(await Booking.findById(legacy).lean()).toMatchObject({ pickupBranch: downtown._id, returnBranch: airport._id });
+  });
+
+  it('falls back to the car\'s branch for locations that match no branch', async () => {
+    const car = await createCar();
+    const legacy = await insertLegacyBooking(car, '123 Main St', 'Hotel lobby');
+
+    await backfillBookingBranches();
+
+    expect(await Booking.findById(legacy).lean()).toMatchObject({ pickupBranch: car.branch, returnBranch: car.branch });
+  });
+
+  it('reports bookings it cannot place', async () => {
+    const { insertedId: carId } = await Car.collection.insertOne({ name: 'Legacy', location: 'Harbour' });
+    const legacy = await insertLegacyBooking({ _id: carId }, 'Harbour', 'Harbour');
+
+    const result = await backfillBookingBranches();
+
+    expect(result.unmatched).toEqual([{ id: String(legacy), pickupLocation: 'Harbour', returnLocation: 'Harbour' }]);
+  });
+});
@@ -0,0 +1,129 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../src/middleware/auth', () => (req, res, next) => {
+  req.user = { id: 'user1', role: 'user' };
+  next();
+});
+jest.mock('../src/models/Booking', () => ({
+  findById: jest.fn()
+}));
+
+const Booking = require('../src/models/Booking');
+const { setStripe } = require('../src/services/stripe');
+
+const app = express();
+app.use(express.json());
+app.use('/api/bookings', require('../src/routes/bookings'));
+
+const makeBooking = (overrides = {}) => ({
+  _id: 'booking1',
+  user: 'user1',
+  status: 'pending',
+  paymentStatus: 'pending',
+  totalAmount: 100,
+  balanceDue: 0,
+  paymentAdjustments: [],
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+let stripe;
+
+beforeEach(() => {
+  stripe = {
+    paymentIntents: {
+      create: jest.fn().mockImplementation(async (params) => ({ id: 'pi_new', client_secret: 'secret_new', status: 'requires_payment_method', ...params })),
+      retrieve: jest.fn(),
+      update: jest.fn().mockImplementation(async (id, params) => ({ id, client_secret: `secret_${id}`, status: 'requires_payment_method', ...params }))
+    }
+  };
+  setStripe(stripe);
+  Booking.findById.mockReset();
+});
+
+describe('POST /api/bookings/:id/pay', () => {
+  it('creates a PaymentIntent for the booking total', async () => {
+    const booking = makeBooking();
+    Booking.findById.mockResolvedValue(booking);
+
+    const res = await request(app).post('/api/bookings/booking1/pay');
+
+    expect(res.status).toBe(200);
+    expect(stripe.paymentIntents.create).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 10000, metadata: { bookingId: 'booking1' } }),
+      expect.any(Object)
+    );
+    expect(booking.stripePaymentIntentId).toBe('pi_new');
+    expect(res.body.data.clientSecret).toBe('secret_new');
+  });
+
+  it('updates an open PaymentIntent whose amount is out of date', async () => {
+    const booking = makeBooking({ stripePaymentIntentId: 'pi_1', totalAmount: 120 });
+    Booking.findById.mockResolvedValue(booking);
+    stripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_1', amount: 10000, status: 'requires_payment_method' });
+
+    const res = await request(app).post('/api/bookings/booking1/pay');
+
+    expect(res.status).toBe(200);
+    expect(stripe.paymentIntents.update).toHaveBeenCalledWith('pi_1', { amount: 12000 });
+    expect(stripe.paymentIntents.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses to pay a booking that is already paid', async () => {
+    Booking.findById.mockResolvedValue(makeBooking({ paymentStatus: 'paid' }));
+
+    const res = await request(app).post('/api/bookings/booking1/pay');
+
+    expect(res.status).toBe(400);
+    expect(stripe.paymentIntents.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses to pay someone else\'s booking', async () => {
+    Booking.findById.mockResolvedValue(makeBooking({ user: 'someone-else' }));
+
+    const res = await request(app).post('/api/bookings/booking1/pay');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('charges the remaining balance of a paid booking separately', async () => {
+    const booking = makeBooking({ paymentStatus: 'paid', stripePaymentIntentId: 'pi_1', totalAmount: 150, balanceDue: 50 });
+    booking.paymentAdjustments = [];
+    Booking.findById.mockResolvedValue(booking);
+
+    const res = await request(app).post('/api/bookings/booking1/pay');
+
+    expect(res.status).toBe(200);
+    expect(stripe.paymentIntents.create).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 5000, metadata: { bookingId: 'booking1', adjustment: 'true' } }),
+      expect.any(Object)
+    );
+    expect(booking.paymentAdjustments).toEqual([
+      expect.objectContaining({ kind: 'charge', amount: 50, stripePaymentIntentId: 'pi_new', status: 'pending' })
+    ]);
+    expect(booking.stripePaymentIntentId).toBe('pi_1');
+  });
+
+  it('collects extra charges added at check-in after the rental', async () => {
+    const booking = makeBooking({ status: 'completed', paymentStatus: 'paid', stripePaymentIntentId: 'pi_1', balanceDue: 30 });
+    Booking.findById.mockResolvedValue(booking);
+
+    const res = await request(app).post('/api/bookings/booking1/pay');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.amount).toBe(30);
+    expect(booking.paymentAdjustments).toEqual([
+      expect.objectContaining({ kind: 'charge', amount: 30, reason: 'Extra charges' })
+    ]);
+  });
+
+  it('refuses to pay a completed booking with nothing left to pay', async () => {
+    Booking.findById.mockResolvedValue(makeBooking({ status: 'completed', paymentStatus: 'paid' }));
+
+    const res = await request(app).post('/api/bookings/booking1/pay');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Cannot pay for a completed booking');
+  });
+});
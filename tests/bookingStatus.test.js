@@ -0,0 +1,192 @@
+jest.mock('../src/services/reservation', () => ({
+  findConflicts: jest.fn(),
+  withCarLock: jest.fn((carId, fn) => fn())
+}));
+jest.mock('../src/services/payments', () => ({
+  refundBooking: jest.fn(),
+  cancelOpenPayments: jest.fn()
+}));
+jest.mock('../src/services/coupons', () => ({
+  releaseCoupon: jest.fn()
+}));
+
+const Car = require('../src/models/Car');
+const User = require('../src/models/User');
+const { findConflicts, withCarLock } = require('../src/services/reservation');
+const { refundBooking, cancelOpenPayments } = require('../src/services/payments');
+const { releaseCoupon } = require('../src/services/coupons');
+const {
+  BookingTransitionError,
+  bookingEvents,
+  canTransition,
+  transitionBooking
+} = require('../src/services/bookingStatus');
+
+const now = new Date('2031-03-01T10:00:00Z');
+
+const makeBooking = (overrides = {}) => ({
+  _id: 'booking1',
+  car: 'car1',
+  user: 'user1',
+  status: 'pending',
+  startDate: new Date('2031-03-05T10:00:00Z'),
+  endDate: new Date('2031-03-07T10:00:00Z'),
+  totalAmount: 200,
+  paymentStatus: 'pending',
+  statusHistory: [],
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+let car;
+
+beforeEach(() => {
+  car = { isRetired: false };
+  jest.spyOn(Car, 'findById').mockReturnValue({ select: jest.fn().mockImplementation(async () => car) });
+  jest.spyOn(Car, 'updateOne').mockResolvedValue({});
+  findConflicts.mockResolvedValue([]);
+  refundBooking.mockResolvedValue([]);
+  cancelOpenPayments.mockResolvedValue();
+  releaseCoupon.mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  delete process.env.REQUIRE_VERIFIED_EMAIL;
+});
+
+describe('canTransition', () => {
+  it('follows pending -> confirmed -> active -> completed', () => {
+    expect(canTransition('pending', 'confirmed')).toBe(true);
+    expect(canTransition('confirmed', 'active')).toBe(true);
+    expect(canTransition('active', 'completed')).toBe(true);
+    expect(canTransition('pending', 'active')).toBe(false);
+    expect(canTransition('confirmed', 'completed')).toBe(false);
+  });
+
+  it('allows cancelling until the booking is finished', () => {
+    expect(canTransition('active', 'cancelled')).toBe(true);
+    expect(canTransition('completed', 'cancelled')).toBe(false);
+    expect(canTransition('cancelled', 'pending')).toBe(false);
+  });
+});
+
+describe('transitionBooking', () => {
+  it('saves the new status with a history entry and emits the transition', async () => {
+    const booking = makeBooking();
+    const listener = jest.fn();
+    bookingEvents.once('transition', listener);
+
+    await transitionBooking(booking, 'confirmed', { actor: 'admin1', note: 'Paid', now });
+
+    expect(booking.status).toBe('confirmed');
+    expect(booking.statusHistory).toEqual([{ from: 'pending', to: 'confirmed', actor: 'admin1', note: 'Paid', at: now }]);
+    expect(booking.save).toHaveBeenCalled();
+    expect(listener).toHaveBeenCalledWith({ booking, from: 'pending', to: 'confirmed', actor: 'admin1', note: 'Paid' });
+  });
+
+  it('rejects transitions the state machine does not allow', async () => {
+    const booking = makeBooking({ status: 'completed' });
+
+    await expect(transitionBooking(booking, 'active')).rejects.toThrow(
+      new BookingTransitionError('Cannot change booking status from completed to active')
+    );
+    expect(booking.save).not.toHaveBeenCalled();
+  });
+
+  describe('confirming', () => {
+    it('re-checks conflicts under the car lock and clears the hold', async () => {
+      const booking = makeBooking({ holdExpiresAt: now });
+
+      await transitionBooking(booking, 'confirmed', { now });
+
+      expect(withCarLock).toHaveBeenCalledWith('car1', expect.any(Function));
+      expect(findConflicts).toHaveBeenCalledWith('car1', booking.startDate, booking.endDate, { excludeBookingId: 'booking1' });
+      expect(booking.holdExpiresAt).toBeUndefined();
+    });
+
+    it('refuses when the dates are no longer free', async () => {
+      findConflicts.mockResolvedValue([{ _id: 'other' }]);
+      const booking = makeBooking();
+
+      await expect(transitionBooking(booking, 'confirmed', { now })).rejects.toThrow('Car is not available for these dates');
+      expect(booking.status).toBe('pending');
+    });
+
+    it('refuses a retired car', async () => {
+      car.isRetired = true;
+
+      await expect(transitionBooking(makeBooking(), 'confirmed', { now })).rejects.toThrow('Car has been retired and cannot be booked');
+      expect(findConflicts).not.toHaveBeenCalled();
+    });
+
+    it('can require the customer to have verified their email', async () => {
+      process.env.REQUIRE_VERIFIED_EMAIL = 'true';
+      jest.spyOn(User, 'findById').mockResolvedValue({ isVerified: false });
+
+      await expect(transitionBooking(makeBooking(), 'confirmed', { now })).rejects.toThrow(
+        'Customer must verify their email before the booking can be confirmed'
+      );
+    });
+  });
+
+  describe('starting and completing', () => {
+    it('allows pickup up to two hours early and records the car\'s current booking', async () => {
+      const booking = makeBooking({ status: 'confirmed', startDate: new Date(now.getTime() + 2 * 3600 * 1000) });
+
+      await transitionBooking(booking, 'active', { now });
+
+      expect(Car.updateOne).toHaveBeenCalledWith({ _id: 'car1' }, { currentBooking: 'booking1' });
+    });
+
+    it('refuses a pickup earlier than that', async () => {
+      const booking = makeBooking({ status: 'confirmed', startDate: new Date(now.getTime() + 3 * 3600 * 1000) });
+
+      await expect(transitionBooking(booking, 'active', { now })).rejects.toThrow('Rental cannot start before its start date');
+    });
+
+    it('frees the car when the rental is completed', async () => {
+      const booking = makeBooking({ status: 'active', startDate: new Date('2031-02-27T10:00:00Z') });
+
+      await transitionBooking(booking, 'completed', { now });
+
+      expect(Car.updateOne).toHaveBeenCalledWith(
+        { _id: 'car1', currentBooking: 'booking1' },
+        { $unset: { currentBooking: 1 } }
+      );
+    });
+  });
+
+  describe('cancelling', () => {
+    it('cancels open payments, refunds by policy and releases the coupon', async () => {
+      refundBooking.mockResolvedValue([{ id: 're_1' }]);
+      const booking = makeBooking({ status: 'confirmed', paymentStatus: 'paid', coupon: 'coupon1' });
+
+      await transitionBooking(booking, 'cancelled', { actor: 'user1', note: 'Plans changed', now });
+
+      expect(cancelOpenPayments).toHaveBeenCalledWith(booking);
+      expect(refundBooking).toHaveBeenCalledWith(booking, 200, { reason: 'Booking cancelled', key: 'refund-booking1' });
+      expect(booking.paymentStatus).toBe('refunded');
+      expect(booking.cancellation).toMatchObject({
+        cancelledBy: 'user1',
+        reason: 'Plans changed',
+        refundPercent: 100,
+        refundAmount: 200,
+        stripeRefundId: 're_1'
+      });
+      expect(releaseCoupon).toHaveBeenCalledWith('coupon1', 'user1');
+    });
+
+    it('refunds nothing for an unpaid booking', async () => {
+      const booking = makeBooking();
+
+      await transitionBooking(booking, 'cancelled', { note: 'Hold expired', now });
+
+      expect(cancelOpenPayments).toHaveBeenCalledWith(booking);
+      expect(refundBooking).not.toHaveBeenCalled();
+      expect(booking.paymentStatus).toBe('pending');
+      expect(booking.cancellation.refundRule).toBe('not_paid');
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const Booking = require('../src/models/Booking');
+const Coupon = require('../src/models/Coupon');
+const { bookCar, modifyBooking } = require('../src/services/bookings');
+const { ReservationError } = require('../src/services/reservation');
+const { setStripe } = require('../src/services/stripe');
+const { describeWithDb, useTestDatabase } = require('./helpers/db');
+const { daysFromNow, createCar, createUser } = require('./helpers/factories');
+
+describeWithDb('booking service', () => {
+  useTestDatabase();
+
+  let car;
+  let user;
+
+  const book = (startDays, endDays, bookingUser = user) => bookCar({
+    user: bookingUser._id,
+    car,
+    startDate: daysFromNow(startDays),
+    endDate: daysFromNow(endDays),
+    pickupBranch: car.branch,
+    returnBranch: car.branch
+  });
+
+  beforeEach(async () => {
+    car = await createCar();
+    user = await createUser();
+    setStripe({
+      paymentIntents: { retrieve: jest.fn(), update: jest.fn() },
+      refunds: { create: jest.fn().mockImplementation(async (params) => ({ id: 're_1', ...params })) }
+    });
+  });
+
+  it('prices and reserves a new booking at the branch', async () => {
+    const booking = await book(3, 5);
+
+    expect(booking.status).toBe('pending');
+    expect(booking.totalDays).toBe(2);
+    expect(booking.totalAmount).toBeGreaterThan(0);
+    expect(String(booking.pickupBranch)).toBe(String(car.branch));
+  });
+
+  it('keeps the coupon terms on the booking so later coupon edits do not reprice it', async () => {
+    const coupon = await Coupon.create({ code: 'SPRING', discountType: 'percent', value: 10 });
+    const booking = await bookCar({
+      user: user._id,
+      car,
+      startDate: daysFromNow(3),
+      endDate: daysFromNow(5),
+      pickupBranch: car.branch,
+      returnBranch: car.branch,
+      couponCode: 'spring'
+    });
+    await Coupon.updateOne({ _id: coupon._id }, { value: 50 });
+
+    await modifyBooking(booking, { endDate: daysFromNow(6) });
+
+    const saved = await Booking.findById(booking._id);
+    expect(saved.pricing.coupon).toMatchObject({ code: 'SPRING', discountType: 'percent', value: 10 });
+    expect(saved.pricing.items.find(item => item.code === 'coupon:SPRING').description).toBe('Coupon SPRING (10%)');
+  });
+
+  it('lets a booking move onto dates that overlap only itself', async () => {
+    const booking = await book(3, 5);
+
+    const { changes } = await modifyBooking(booking, { endDate: daysFromNow(6) });
+
+    expect(Object.keys(changes)).toEqual(['endDate']);
+    const saved = await Booking.findById(booking._id);
+    expect(saved.endDate).toEqual(daysFromNow(6));
+    expect(saved.changeHistory).toHaveLength(1);
+  });
+
+  it('refuses to move a booking onto another booking\'s dates', async () => {
+    const booking = await book(3, 5);
+    await book(6, 8, await createUser());
+
+    await expect(modifyBooking(booking, { endDate: daysFromNow(7) })).rejects.toThrow(ReservationError);
+    expect((await Booking.findById(booking._id)).endDate).toEqual(daysFromNow(5));
+  });
+
+  it('charges the difference of a paid booking as a balance', async () => {
+    const booking = await book(3, 5);
+    booking.paymentStatus = 'paid';
+    booking.amountPaid = booking.totalAmount;
+    await booking.save();
+
+    const { difference } = await modifyBooking(booking, { endDate: daysFromNow(7) });
+
+    const saved = await Booking.findById(booking._id);
+    expect(difference).toBeGreaterThan(0);
+    expect(saved.balanceDue).toBe(difference);
+    expect(saved.amountPaid).toBeCloseTo(saved.totalAmount - difference, 2);
+  });
+});
@@ -0,0 +1,118 @@
+const express = require('express');
+const request = require('supertest');
+const Booking = require('../src/models/Booking');
+const Branch = require('../src/models/Branch');
+const Car = require('../src/models/Car');
+
+jest.mock('../src/middleware/auth', () => (req, res, next) => {
+  req.user = { id: 'admin1', role: 'admin' };
+  next();
+});
+jest.mock('../src/middleware/audit', () => () => (req, res, next) => next());
+
+const makeBranch = (overrides = {}) => new Branch({
+  name: 'Downtown',
+  code: 'DTN',
+  address: { city: 'Springfield' },
+  location: { type: 'Point', coordinates: [0, 0] },
+  timezone: 'UTC',
+  openingHours: [{ day: 1, open: '08:00', close: '20:00' }],
+  ...overrides
+});
+
+describe('Branch#isOpenAt', () => {
+  // 2031-03-03 is a Monday
+  it('is open between opening and closing time on listed days', () => {
+    const branch = makeBranch();
+
+    expect(branch.isOpenAt(new Date('2031-03-03T08:00:00Z'))).toBe(true);
+    expect(branch.isOpenAt(new Date('2031-03-03T20:00:00Z'))).toBe(false);
+    expect(branch.isOpenAt(new Date('2031-03-04T10:00:00Z'))).toBe(false);
+  });
+
+  it('uses the branch timezone', () => {
+    const branch = makeBranch({ timezone: 'America/New_York' });
+
+    expect(branch.isOpenAt(new Date('2031-03-03T10:00:00Z'))).toBe(false);
+    expect(branch.isOpenAt(new Date('2031-03-03T14:00:00Z'))).toBe(true);
+  });
+
+  it('treats a closing time at or before the opening time as after midnight', () => {
+    const branch = makeBranch({ openingHours: [{ day: 1, open: '18:00', close: '02:00' }] });
+
+    expect(branch.isOpenAt(new Date('2031-03-03T23:30:00Z'))).toBe(true);
+    expect(branch.isOpenAt(new Date('2031-03-04T01:30:00Z'))).toBe(true);
+    expect(branch.isOpenAt(new Date('2031-03-04T02:00:00Z'))).toBe(false);
+    expect(branch.isOpenAt(new Date('2031-03-03T01:30:00Z'))).toBe(false);
+  });
+
+  it('is closed on closure dates, including overnight hours that start on them', () => {
+    const branch = makeBranch({
+      openingHours: [{ day: 1, open: '18:00', close: '02:00' }],
+      closures: [{ date: '2031-03-03', name: 'Holiday' }]
+    });
+
+    expect(branch.isOpenAt(new Date('2031-03-03T19:00:00Z'))).toBe(false);
+    expect(branch.isOpenAt(new Date('2031-03-04T01:00:00Z'))).toBe(false);
+  });
+});
+
+describe('deactivating a branch', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/branches', require('../src/routes/branches'));
+
+  let branch;
+
+  beforeEach(() => {
+    branch = makeBranch();
+    branch.save = jest.fn().mockResolvedValue(branch);
+    jest.spyOn(Branch, 'findById').mockResolvedValue(branch);
+    jest.spyOn(Car, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Booking, 'countDocuments').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('deactivates a branch nothing depends on', async () => {
+    const res = await request(app).delete(`/api/branches/${branch._id}`);
+
+    expect(res.status).toBe(200);
+    expect(branch.isActive).toBe(false);
+  });
+
+  it('refuses while cars are based at the branch', async () => {
+    Car.countDocuments.mockResolvedValue(2);
+
+    const res = await request(app).delete(`/api/branches/${branch._id}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Branch is home to 2 car(s); move them before deactivating it');
+    expect(branch.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses while bookings still pick up or return there', async () => {
+    Booking.countDocuments.mockResolvedValue(1);
+
+    const res = await request(app).delete(`/api/branches/${branch._id}`);
+
+    expect(res.status).toBe(400);
+    expect(Booking.countDocuments).toHaveBeenCalledWith({
+      $or: [{ pickupBranch: branch._id }, { returnBranch: branch._id }],
+      status: { $in: ['pending', 'confirmed', 'active'] }
+    });
+    expect(branch.save).not.toHaveBeenCalled();
+  });
+
+  it('runs the same checks when an update deactivates the branch', async () => {
+    Car.countDocuments.mockResolvedValue(1);
+
+    const res = await request(app).put(`/api/branches/${branch._id}`).send({ isActive: false });
+
+    expect(res.status).toBe(400);
+    expect(branch.isActive).toBe(true);
+    expect(branch.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,161 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const Car = require('../src/models/Car');
+const Maintenance = require('../src/models/Maintenance');
+const { listDays, getCarCalendar, getFleetCalendar } = require('../src/services/calendar');
+
+let mockUser;
+
+jest.mock('../src/middleware/auth', () => (req, res, next) => {
+  req.user = mockUser;
+  next();
+});
+jest.mock('../src/middleware/audit', () => () => (req, res, next) => next());
+
+const id = () => new mongoose.Types.ObjectId();
+
+const car = { _id: id(), name: 'Corolla', isAvailable: true };
+const other = { _id: id(), name: 'Yaris', isAvailable: true };
+
+let bookings;
+let maintenance;
+
+const resolveWith = (get) => () => ({ select: () => ({ lean: async () => get() }) });
+
+beforeEach(() => {
+  bookings = [];
+  maintenance = [];
+  jest.spyOn(Booking, 'find').mockImplementation(resolveWith(() => bookings));
+  jest.spyOn(Maintenance, 'find').mockImplementation(resolveWith(() => maintenance));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const statuses = (days) => days.map(day => day.status);
+
+describe('listDays', () => {
+  it('lists UTC days up to but excluding the end', () => {
+    expect(listDays(new Date('2031-02-27T15:00:00Z'), new Date('2031-03-02T00:00:00Z'))).toEqual([
+      '2031-02-27', '2031-02-28', '2031-03-01'
+    ]);
+  });
+});
+
+describe('getCarCalendar', () => {
+  it('covers every day of the month', async () => {
+    const days = await getCarCalendar(car, '2031-02');
+
+    expect(days).toHaveLength(28);
+    expect(days[0]).toEqual({ date: '2031-02-01', status: 'free' });
+  });
+
+  it('marks the days each block touches', async () => {
+    bookings = [
+      { _id: id(), car: car._id, status: 'confirmed', startDate: new Date('2031-03-02T10:00:00Z'), endDate: new Date('2031-03-03T10:00:00Z') },
+      { _id: id(), car: car._id, status: 'pending', startDate: new Date('2031-03-05T10:00:00Z'), endDate: new Date('2031-03-06T09:00:00Z') }
+    ];
+    maintenance = [
+      { _id: id(), car: car._id, startDate: new Date('2031-03-08T00:00:00Z'), endDate: new Date('2031-03-09T00:00:00Z') }
+    ];
+
+    const days = await getCarCalendar(car, '2031-03');
+
+    expect(statuses(days.slice(0, 9))).toEqual([
+      'free', 'booked', 'booked', 'free', 'pending', 'pending', 'free', 'maintenance', 'free'
+    ]);
+  });
+
+  it('lets maintenance win over bookings and bookings over holds on the same day', async () => {
+    bookings = [
+      { _id: id(), car: car._id, status: 'pending', startDate: new Date('2031-03-01T08:00:00Z'), endDate: new Date('2031-03-02T20:00:00Z') },
+      { _id: id(), car: car._id, status: 'active', startDate: new Date('2031-03-01T12:00:00Z'), endDate: new Date('2031-03-01T18:00:00Z') }
+    ];
+    maintenance = [
+      { _id: id(), car: car._id, startDate: new Date('2031-03-02T19:00:00Z'), endDate: new Date('2031-03-02T23:00:00Z') }
+    ];
+
+    const days = await getCarCalendar(car, '2031-03');
+
+    expect(statuses(days.slice(0, 2))).toEqual(['booked', 'maintenance']);
+  });
+
+  it('shows a car taken out of service as in maintenance', async () => {
+    const days = await getCarCalendar({ ...car, isAvailable: false }, '2031-03');
+
+    expect(new Set(statuses(days))).toEqual(new Set(['maintenance']));
+  });
+});
+
+describe('getFleetCalendar', () => {
+  it('gives each car its own days, references and utilization', async () => {
+    const booking = { _id: id(), car: car._id, status: 'confirmed', startDate: new Date('2031-03-01T10:00:00Z'), endDate: new Date('2031-03-02T10:00:00Z') };
+    bookings = [booking];
+
+    const grid = await getFleetCalendar([car, other], new Date('2031-03-01T00:00:00Z'), new Date('2031-03-05T00:00:00Z'));
+
+    expect(grid[0].days.slice(0, 2)).toEqual([
+      { date: '2031-03-01', status: 'booked', booking: booking._id },
+      { date: '2031-03-02', status: 'booked', booking: booking._id }
+    ]);
+    expect(grid[0].utilization).toBe(50);
+    expect(grid[1].utilization).toBe(0);
+    expect(statuses(grid[1].days)).toEqual(['free', 'free', 'free', 'free']);
+  });
+});
+
+describe('calendar routes', () => {
+  const app = express();
+  app.use('/api/cars', require('../src/routes/cars'));
+  app.use('/api/admin', require('../src/routes/admin'));
+
+  beforeEach(() => {
+    mockUser = { id: 'staff1', role: 'staff' };
+  });
+
+  it('return a car\'s month', async () => {
+    jest.spyOn(Car, 'findById').mockResolvedValue(car);
+
+    const res = await request(app).get(`/api/cars/${car._id}/calendar?month=2031-02`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.month).toBe('2031-02');
+    expect(res.body.data.days).toHaveLength(28);
+  });
+
+  it('reject a malformed month', async () => {
+    const res = await request(app).get(`/api/cars/${car._id}/calendar?month=2031-13`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('return the fleet grid for active cars', async () => {
+    const lean = jest.fn().mockResolvedValue([car, other]);
+    jest.spyOn(Car, 'find').mockReturnValue({ select: () => ({ sort: () => ({ lean }) }) });
+
+    const res = await request(app).get('/api/admin/fleet/calendar?from=2031-03-01&to=2031-03-08&category=compact');
+
+    expect(res.status).toBe(200);
+    expect(Car.find).toHaveBeenCalledWith({ isRetired: { $ne: true }, category: 'compact' });
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.data[0].days).toHaveLength(7);
+  });
+
+  it('limit the fleet grid window', async () => {
+    const res = await request(app).get('/api/admin/fleet/calendar?from=2031-01-01&to=2031-06-01');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Calendar window cannot exceed 92 days');
+  });
+
+  it('keep the fleet grid from customers', async () => {
+    mockUser = { id: 'user1', role: 'user' };
+
+    const res = await request(app).get('/api/admin/fleet/calendar?from=2031-03-01&to=2031-03-08');
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,76 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+jest.mock('../src/middleware/auth', () => (req, res, next) => {
+  req.user = { id: 'fleet1', role: 'fleet_manager' };
+  next();
+});
+jest.mock('../src/services/audit', () => ({
+  recordAudit: jest.fn()
+}));
+jest.mock('../src/services/waitlist', () => ({
+  processWaitlist: jest.fn()
+}));
+
+const Branch = require('../src/models/Branch');
+const Car = require('../src/models/Car');
+const { processWaitlist } = require('../src/services/waitlist');
+
+const app = express();
+app.use(express.json());
+app.use('/api/cars', require('../src/routes/cars'));
+
+const branch = { _id: new mongoose.Types.ObjectId(), name: 'Downtown' };
+
+const row = (overrides = {}) => ({
+  vin: '1HGCM82633A004352',
+  name: 'Corolla',
+  brand: 'Toyota',
+  model: 'Corolla',
+  year: 2022,
+  category: 'compact',
+  pricePerDay: 50,
+  seats: 5,
+  transmission: 'automatic',
+  fuelType: 'gasoline',
+  mileage: 10000,
+  branch: String(branch._id),
+  ...overrides
+});
+
+const existingCar = (overrides = {}) => {
+  const car = new Car({ ...row(), branch: branch._id, location: branch.name, ...overrides });
+  car.save = jest.fn().mockResolvedValue(car);
+  return car;
+};
+
+describe('POST /api/cars/import', () => {
+  beforeEach(() => {
+    processWaitlist.mockClear();
+    jest.spyOn(Branch, 'find').mockReturnValue({ select: async () => [branch] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('offers a car brought back into service to its waitlist', async () => {
+    const car = existingCar({ isAvailable: false });
+    jest.spyOn(Car, 'find').mockResolvedValue([car]);
+
+    const res = await request(app).post('/api/cars/import').send([row({ isAvailable: true })]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual({ create: 0, update: 1, error: 0 });
+    expect(processWaitlist).toHaveBeenCalledWith(car._id);
+  });
+
+  it('leaves the waitlist alone for cars that were already available', async () => {
+    jest.spyOn(Car, 'find').mockResolvedValue([existingCar({ isAvailable: true })]);
+
+    await request(app).post('/api/cars/import').send([row({ pricePerDay: 60 })]);
+
+    expect(processWaitlist).not.toHaveBeenCalled();
+  });
+});
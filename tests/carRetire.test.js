@@ -0,0 +1,68 @@
+const express = require('express');
+const request = require('supertest');
+const Booking = require('../src/models/Booking');
+const Car = require('../src/models/Car');
+const { transitionBooking } = require('../src/services/bookingStatus');
+const { describeWithDb, useTestDatabase } = require('./helpers/db');
+const { daysFromNow, createCar, createUser } = require('./helpers/factories');
+
+jest.mock('../src/middleware/auth', () => (req, res, next) => {
+  req.user = { id: '507f1f77bcf86cd799439011', role: 'admin' };
+  next();
+});
+
+const app = express();
+app.use(express.json());
+app.use('/api/cars', require('../src/routes/cars'));
+
+describeWithDb('retiring a car', () => {
+  useTestDatabase();
+
+  let car;
+  let user;
+
+  const createBooking = (overrides = {}) => Booking.create({
+    user: user._id,
+    car: car._id,
+    startDate: daysFromNow(3),
+    endDate: daysFromNow(5),
+    totalDays: 2,
+    totalAmount: 100,
+    pickupBranch: car.branch,
+    returnBranch: car.branch,
+    pickupLocation: 'Branch',
+    returnLocation: 'Branch',
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    car = await createCar();
+    user = await createUser();
+  });
+
+  it('is refused while a pending booking still holds the car', async () => {
+    await createBooking({ status: 'pending', holdExpiresAt: daysFromNow(1) });
+
+    const res = await request(app).delete(`/api/cars/${car._id}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Car has 1 upcoming booking(s) and cannot be retired');
+    expect((await Car.findById(car._id)).isRetired).toBe(false);
+  });
+
+  it('ignores pending bookings whose hold has lapsed', async () => {
+    await createBooking({ status: 'pending', holdExpiresAt: daysFromNow(-1) });
+
+    const res = await request(app).delete(`/api/cars/${car._id}`);
+
+    expect(res.status).toBe(200);
+    expect((await Car.findById(car._id)).isRetired).toBe(true);
+  });
+
+  it('stops pending bookings of a retired car from being confirmed', async () => {
+    const booking = await createBooking({ status: 'pending', holdExpiresAt: daysFromNow(-1) });
+    await Car.updateOne({ _id: car._id }, { isRetired: true });
+
+    await expect(transitionBooking(booking, 'confirmed')).rejects.toThrow('Car has been retired and cannot be booked');
+  });
+});
@@ -0,0 +1,188 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const Branch = require('../src/models/Branch');
+const Car = require('../src/models/Car');
+const Maintenance = require('../src/models/Maintenance');
+const { describeWithDb, useTestDatabase } = require('./helpers/db');
+const { daysFromNow, createBranch, createCar, createUser } = require('./helpers/factories');
+
+const app = express();
+app.use('/api/cars', require('../src/routes/cars'));
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('GET /api/cars near a location', () => {
+  const near = id();
+  const far = id();
+
+  beforeEach(() => {
+    jest.spyOn(Branch, 'aggregate').mockResolvedValue([
+      { _id: near, distance: 1234 },
+      { _id: far, distance: 25050 }
+    ]);
+    jest.spyOn(Car, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Car, 'countDocuments').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('searches active branches within the radius around the point', async () => {
+    const res = await request(app).get('/api/cars?lat=51.5&lng=-0.12&radiusKm=30');
+
+    expect(res.status).toBe(200);
+    expect(Branch.aggregate.mock.calls[0][0][0].$geoNear).toMatchObject({
+      near: { type: 'Point', coordinates: [-0.12, 51.5] },
+      maxDistance: 30000,
+      query: { isActive: true }
+    });
+  });
+
+  it('defaults the radius to 50 km', async () => {
+    await request(app).get('/api/cars?lat=51.5&lng=-0.12');
+
+    expect(Branch.aggregate.mock.calls[0][0][0].$geoNear.maxDistance).toBe(50000);
+  });
+
+  it('ranks cars by the distance of their home branch', async () => {
+    await request(app).get('/api/cars?lat=51.5&lng=-0.12&sortBy=price_low');
+
+    const [match, addFields, sort] = Car.aggregate.mock.calls[0][0];
+    expect(match.$match.branch).toEqual({ $in: [near, far] });
+    expect(addFields.$addFields.distanceKm.$arrayElemAt[0]).toEqual([1.2, 25.1]);
+    expect(sort.$sort).toEqual({ distanceKm: 1, pricePerDay: 1 });
+  });
+
+  it('keeps a branch filter to branches inside the radius', async () => {
+    await request(app).get(`/api/cars?lat=51.5&lng=-0.12&branch=${far}`);
+    await request(app).get(`/api/cars?lat=51.5&lng=-0.12&branch=${id()}`);
+
+    expect(Car.aggregate.mock.calls[0][0][0].$match.branch).toEqual({ $in: [far] });
+    expect(Car.aggregate.mock.calls[1][0][0].$match.branch).toEqual({ $in: [] });
+  });
+
+  it('rejects coordinates out of range', async () => {
+    const res = await request(app).get('/api/cars?lat=91&lng=0');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('Latitude must be between -90 and 90');
+    expect(Branch.aggregate).not.toHaveBeenCalled();
+  });
+});
+
+describeWithDb('GET /api/cars near a location', () => {
+  useTestDatabase();
+
+  it('returns cars at nearby branches, closest first, with their distance', async () => {
+    // Roughly 11 km and 33 km north of the search point; the third branch is out of range
+    const close = await createBranch({ location: { type: 'Point', coordinates: [0, 0.1] } });
+    const further = await createBranch({ location: { type: 'Point', coordinates: [0, 0.3] } });
+    const outside = await createBranch({ location: { type: 'Point', coordinates: [0, 2] } });
+    const closed = await createBranch({ location: { type: 'Point', coordinates: [0, 0.05] }, isActive: false });
+    const furtherCar = await createCar({ branch: further._id });
+    const closeCar = await createCar({ branch: close._id });
+    await createCar({ branch: outside._id });
+    await createCar({ branch: closed._id });
+
+    const res = await request(app).get('/api/cars?lat=0&lng=0&radiusKm=50');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(car => car._id)).toEqual([String(closeCar._id), String(furtherCar._id)]);
+    expect(res.body.data[0].distanceKm).toBeCloseTo(11.1, 0);
+    expect(res.body.pagination.total).toBe(2);
+  });
+});
+
+describe('GET /api/cars for a date range', () => {
+  const booked = id();
+  const maintained = id();
+  const free = { _id: id(), pricePerDay: 100, category: 'compact' };
+
+  let chain;
+
+  beforeEach(() => {
+    jest.spyOn(Booking, 'distinct').mockResolvedValue([booked]);
+    jest.spyOn(Maintenance, 'distinct').mockResolvedValue([maintained]);
+    chain = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue([free])
+    };
+    jest.spyOn(Car, 'find').mockReturnValue(chain);
+    jest.spyOn(Car, 'countDocuments').mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('leaves out cars that are booked or in maintenance during the range', async () => {
+    const res = await request(app).get('/api/cars?startDate=2031-03-03T10:00:00Z&endDate=2031-03-05T10:00:00Z');
+
+    expect(res.status).toBe(200);
+    expect(Car.find).toHaveBeenCalledWith(expect.objectContaining({ _id: { $nin: [booked, maintained] } }));
+    expect(Booking.distinct.mock.calls[0][1]).toMatchObject({
+      startDate: { $lte: new Date('2031-03-05T10:00:00Z') },
+      endDate: { $gte: new Date('2031-03-03T10:00:00Z') }
+    });
+  });
+
+  it('quotes each car for the range', async () => {
+    const res = await request(app).get('/api/cars?startDate=2031-03-03T10:00:00Z&endDate=2031-03-05T10:00:00Z');
+
+    expect(res.body.data[0].quote).toEqual({ totalDays: 2, total: expect.any(Number), currency: expect.any(String) });
+  });
+
+  it('does not filter or quote without dates', async () => {
+    const res = await request(app).get('/api/cars');
+
+    expect(Booking.distinct).not.toHaveBeenCalled();
+    expect(Car.find.mock.calls[0][0]._id).toBeUndefined();
+    expect(res.body.data[0].quote).toBeUndefined();
+  });
+
+  it('requires both dates, in order', async () => {
+    const onlyStart = await request(app).get('/api/cars?startDate=2031-03-03');
+    const reversed = await request(app).get('/api/cars?startDate=2031-03-05&endDate=2031-03-03');
+
+    expect(onlyStart.status).toBe(400);
+    expect(reversed.status).toBe(400);
+    expect(reversed.body.message).toBe('Both startDate and endDate are required, and endDate must be after startDate');
+    expect(Car.find).not.toHaveBeenCalled();
+  });
+});
+
+describeWithDb('GET /api/cars for a date range', () => {
+  useTestDatabase();
+
+  it('only lists cars free for the whole range', async () => {
+    const user = await createUser();
+    const free = await createCar();
+    const booked = await createCar();
+    const cancelled = await createCar();
+    const maintained = await createCar();
+    const booking = (car, status) => Booking.create({
+      user: user._id,
+      car: car._id,
+      startDate: daysFromNow(4),
+      endDate: daysFromNow(6),
+      totalDays: 2,
+      totalAmount: 100,
+      pickupLocation: 'Branch',
+      returnLocation: 'Branch',
+      status
+    });
+    await booking(booked, 'confirmed');
+    await booking(cancelled, 'cancelled');
+    await Maintenance.create({ car: maintained._id, startDate: daysFromNow(5), endDate: daysFromNow(8), type: 'service' });
+
+    const res = await request(app).get(`/api/cars?startDate=${daysFromNow(3).toISOString()}&endDate=${daysFromNow(5).toISOString()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(car => car._id).sort()).toEqual([String(free._id), String(cancelled._id)].sort());
+  });
+});
@@ -0,0 +1,81 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+jest.mock('../src/middleware/auth', () => (req, res, next) => {
+  req.user = { id: '507f1f77bcf86cd799439011', role: 'admin' };
+  next();
+});
+jest.mock('../src/middleware/audit', () => () => (req, res, next) => next());
+jest.mock('../src/services/bookingStatus', () => ({
+  ...jest.requireActual('../src/services/bookingStatus'),
+  transitionBooking: jest.fn(async (booking, to) => {
+    booking.status = to;
+    return booking;
+  })
+}));
+
+const Booking = require('../src/models/Booking');
+const Car = require('../src/models/Car');
+const pricingConfig = require('../src/config/pricing');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', require('../src/routes/admin'));
+
+const id = () => new mongoose.Types.ObjectId();
+const car = { _id: id(), pricePerDay: 50 };
+
+const makeBooking = (overrides = {}) => {
+  const booking = new Booking({
+    user: id(),
+    car: car._id,
+    startDate: new Date(Date.now() - 2 * 24 * 3600 * 1000),
+    endDate: new Date(Date.now() + 3600 * 1000),
+    totalDays: 2,
+    totalAmount: 100,
+    pickupLocation: 'Downtown',
+    returnLocation: 'Downtown',
+    status: 'active',
+    paymentStatus: 'paid',
+    conditionReport: { checkOut: { odometer: 10000, fuelLevel: 100 } },
+    ...overrides
+  });
+  booking.depopulate = jest.fn();
+  return booking;
+};
+
+describe('POST /api/admin/bookings/:id/checkin', () => {
+  let booking;
+
+  beforeEach(() => {
+    booking = makeBooking();
+    jest.spyOn(Booking, 'findById').mockReturnValue({ populate: async () => Object.assign(booking, { car }) });
+    jest.spyOn(Car, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds extra charges to the balance due so they are collected', async () => {
+    const res = await request(app)
+      .post(`/api/admin/bookings/${booking._id}/checkin`)
+      .send({ odometer: 10000 + 2 * pricingConfig.includedKmPerDay + 100, fuelLevel: 100 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.extraChargesTotal).toBe(100 * pricingConfig.excessKmRate);
+    expect(booking.extraChargesTotal).toBe(res.body.data.extraChargesTotal);
+    expect(booking.balanceDue).toBe(res.body.data.extraChargesTotal);
+    expect(booking.status).toBe('completed');
+  });
+
+  it('leaves the balance alone when there is nothing extra to pay', async () => {
+    const res = await request(app)
+      .post(`/api/admin/bookings/${booking._id}/checkin`)
+      .send({ odometer: 10050, fuelLevel: 100 });
+
+    expect(res.status).toBe(200);
+    expect(booking.balanceDue).toBe(0);
+  });
+});
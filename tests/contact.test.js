@@ -0,0 +1,35 @@
+jest.mock('../src/services/notifications', () => ({
+  sendEmail: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const ContactMessage = require('../src/models/ContactMessage');
+
+const app = express();
+app.use(express.json());
+app.use('/api/contact', require('../src/routes/contact'));
+
+const form = { name: 'Jo', email: 'jo@example.com', subject: 'Hello', message: 'Do you rent vans?' };
+
+describe('POST /api/contact', () => {
+  beforeEach(() => {
+    jest.spyOn(ContactMessage, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers a filled-in honeypot exactly like a real submission without storing it', async () => {
+    const real = await request(app).post('/api/contact').send(form);
+    ContactMessage.create.mockClear();
+
+    const bot = await request(app).post('/api/contact').send({ ...form, website: 'http://spam.example' });
+
+    expect(bot.status).toBe(201);
+    expect(bot.status).toBe(real.status);
+    expect(bot.body).toEqual(real.body);
+    expect(ContactMessage.create).not.toHaveBeenCalled();
+  });
+});
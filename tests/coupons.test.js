@@ -0,0 +1,64 @@
+const express = require('express');
+const request = require('supertest');
+const Coupon = require('../src/models/Coupon');
+
+jest.mock('../src/middleware/auth', () => (req, res, next) => {
+  req.user = { id: 'admin1', role: 'admin' };
+  next();
+});
+jest.mock('../src/middleware/audit', () => () => (req, res, next) => next());
+
+describe('Coupon model', () => {
+  it('reports a percent discount over 100 as a validation error on value', async () => {
+    const coupon = new Coupon({ code: 'half', discountType: 'percent', value: 150 });
+
+    const error = await coupon.validate().catch(err => err);
+
+    expect(error.name).toBe('ValidationError');
+    expect(error.errors.value.message).toBe('Percent discount cannot exceed 100');
+  });
+
+  it('reports an inverted validity window as a validation error on validUntil', async () => {
+    const coupon = new Coupon({
+      code: 'spring',
+      discountType: 'fixed',
+      value: 20,
+      validFrom: new Date('2030-05-01'),
+      validUntil: new Date('2030-04-01')
+    });
+
+    const error = await coupon.validate().catch(err => err);
+
+    expect(error.name).toBe('ValidationError');
+    expect(error.errors.validUntil.message).toBe('Valid until must be after valid from');
+  });
+
+  it('accepts a valid coupon', async () => {
+    const coupon = new Coupon({ code: 'spring', discountType: 'percent', value: 15 });
+
+    await expect(coupon.validate()).resolves.toBeUndefined();
+    expect(coupon.code).toBe('SPRING');
+  });
+});
+
+describe('POST /api/admin/coupons', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', require('../src/routes/admin'));
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports a code taken by a concurrent request as a duplicate', async () => {
+    jest.spyOn(Coupon, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Coupon, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    const res = await request(app)
+      .post('/api/admin/coupons')
+      .send({ code: 'SPRING', discountType: 'percent', value: 10 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Coupon code already exists');
+  });
+});
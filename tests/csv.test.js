@@ -0,0 +1,55 @@
+const { csvEscape, toCsv, parseCsv } = require('../src/utils/csv');
+
+describe('csvEscape', () => {
+  it('quotes fields containing commas, quotes or newlines', () => {
+    expect(csvEscape('Smith, Ada')).toBe('"Smith, Ada"');
+    expect(csvEscape('say "hi"')).toBe('"say ""hi"""');
+    expect(csvEscape('line\nbreak')).toBe('"line\nbreak"');
+  });
+
+  it('renders empty values, dates and objects', () => {
+    expect(csvEscape(null)).toBe('');
+    expect(csvEscape(undefined)).toBe('');
+    expect(csvEscape(new Date('2030-01-02T03:04:05Z'))).toBe('2030-01-02T03:04:05.000Z');
+    expect(csvEscape({ a: 1 })).toBe('"{""a"":1}"');
+  });
+
+  it('guards against spreadsheet formulas', () => {
+    expect(csvEscape('=SUM(A1:A2)')).toBe('\'=SUM(A1:A2)');
+    expect(csvEscape('+cmd')).toBe('\'+cmd');
+    expect(csvEscape('-2+3')).toBe('\'-2+3');
+    expect(csvEscape('@import')).toBe('\'@import');
+  });
+
+  it('leaves negative numbers untouched', () => {
+    expect(csvEscape(-25.5)).toBe('-25.5');
+    expect(csvEscape(-3)).toBe('-3');
+    expect(csvEscape('-42')).toBe('-42');
+    expect(csvEscape('-0.75')).toBe('-0.75');
+  });
+});
+
+describe('toCsv', () => {
+  it('builds a header row and one row per record', () => {
+    const csv = toCsv([{ name: 'Ada', refund: -20 }], ['name', { header: 'Refund', value: row => row.refund }]);
+
+    expect(csv).toBe('name,Refund\r\nAda,-20\r\n');
+  });
+});
+
+describe('parseCsv', () => {
+  it('parses quoted fields and skips blank lines', () => {
+    const rows = parseCsv('\uFEFFname,notes\r\n"Smith, Ada","said ""hi""\nthen left"\r\n\r\nBob,\r\n');
+
+    expect(rows).toEqual([
+      { name: 'Smith, Ada', notes: 'said "hi"\nthen left' },
+      { name: 'Bob' }
+    ]);
+  });
+
+  it('round-trips what toCsv writes', () => {
+    const records = [{ name: 'Smith, Ada', amount: '-12.5' }];
+
+    expect(parseCsv(toCsv(records, ['name', 'amount']))).toEqual(records);
+  });
+});
@@ -0,0 +1,189 @@
+const EventEmitter = require('events');
+const express = require('express');
+const request = require('supertest');
+const AuditLog = require('../src/models/AuditLog');
+const Car = require('../src/models/Car');
+const { streamExport } = require('../src/utils/export');
+
+let mockUser = { id: 'admin1', role: 'admin' };
+
+jest.mock('../src/middleware/auth', () => (req, res, next) => {
+  req.user = mockUser;
+  next();
+});
+
+// Response stand-in whose buffer is "full" after every write until drained
+class SlowResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.headers = {};
+    this.chunks = [];
+    this.ended = false;
+  }
+
+  setHeader(name, value) {
+    this.headers[name.toLowerCase()] = value;
+  }
+
+  write(chunk) {
+    this.chunks.push(chunk);
+    return false;
+  }
+
+  end(chunk) {
+    if (chunk) this.chunks.push(chunk);
+    this.ended = true;
+  }
+}
+
+const columns = [
+  { header: 'id', value: doc => doc.id },
+  { header: 'amount', value: doc => doc.amount }
+];
+
+async function* cursorOf(docs, { failAfter } = {}) {
+  for (const [index, doc] of docs.entries()) {
+    if (index === failAfter) throw new Error('cursor failed');
+    yield doc;
+  }
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('streamExport', () => {
+  it('waits for the response to drain before writing more', async () => {
+    const res = new SlowResponse();
+    const done = streamExport(res, cursorOf([{ id: 'a', amount: 1 }, { id: 'b', amount: -2 }]), columns, { filename: 'cars' });
+
+    await flush();
+    expect(res.chunks).toEqual(['id,amount\r\n']);
+
+    res.emit('drain');
+    await flush();
+    expect(res.chunks).toHaveLength(2);
+
+    res.emit('drain');
+    await flush();
+    res.emit('drain');
+    await done;
+
+    expect(res.chunks.join('')).toBe('id,amount\r\na,1\r\nb,-2\r\n');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="cars.csv"');
+    expect(res.ended).toBe(true);
+  });
+
+  it('stops when the client disconnects while the buffer is full', async () => {
+    const res = new SlowResponse();
+    const done = streamExport(res, cursorOf([{ id: 'a', amount: 1 }]), columns, { format: 'json', filename: 'cars' });
+
+    await flush();
+    res.emit('close');
+
+    await expect(done).rejects.toThrow('Client closed the connection');
+    expect(res.ended).toBe(false);
+    expect(res.listenerCount('drain')).toBe(0);
+  });
+
+  it('writes a JSON array keyed by the column headers', async () => {
+    const res = new SlowResponse();
+    res.write = function(chunk) {
+      this.chunks.push(chunk);
+      return true;
+    };
+
+    await streamExport(res, cursorOf([{ id: 'a', amount: 1 }, { id: 'b', amount: 2 }]), columns, { format: 'json', filename: 'cars' });
+
+    expect(JSON.parse(res.chunks.join(''))).toEqual([{ id: 'a', amount: 1 }, { id: 'b', amount: 2 }]);
+    expect(res.headers['content-type']).toBe('application/json; charset=utf-8');
+  });
+});
+
+describe('GET /api/admin/export/:entity', () => {
+  const app = express();
+  app.use('/api/admin', require('../src/routes/admin'));
+
+  const mockCarCursor = (cursor) => {
+    const chain = { populate: () => chain, sort: () => chain, lean: () => chain, cursor: () => cursor };
+    jest.spyOn(Car, 'find').mockReturnValue(chain);
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    mockUser = { id: 'admin1', role: 'admin' };
+  });
+
+  it('streams the export', async () => {
+    mockCarCursor(cursorOf([{ _id: 'car1', name: 'Corolla' }]));
+
+    const res = await request(app).get('/api/admin/export/cars');
+
+    expect(res.status).toBe(200);
+    expect(res.text.split('\r\n')[1]).toMatch(/^car1,/);
+  });
+
+  it('aborts the download instead of ending it cleanly when the cursor fails midway', async () => {
+    mockCarCursor(cursorOf([{ _id: 'car1' }, { _id: 'car2' }], { failAfter: 1 }));
+
+    await expect(request(app).get('/api/admin/export/cars')).rejects.toThrow();
+  });
+
+  it('lets fleet managers export cars but not users', async () => {
+    mockUser = { id: 'fleet1', role: 'fleet_manager' };
+    mockCarCursor(cursorOf([{ _id: 'car1' }]));
+
+    const cars = await request(app).get('/api/admin/export/cars');
+    const users = await request(app).get('/api/admin/export/users');
+
+    expect(cars.status).toBe(200);
+    expect(users.status).toBe(403);
+  });
+
+  it.each(['unknown', 'constructor', '__proto__'])('returns 404 for %s', async (entity) => {
+    const res = await request(app).get(`/api/admin/export/${entity}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Export not found');
+  });
+});
+
+describe('GET /api/admin/audit/export', () => {
+  const app = express();
+  app.use('/api/admin', require('../src/routes/admin'));
+
+  const mockAuditCursor = (cursor) => {
+    const chain = { populate: () => chain, sort: () => chain, lean: () => chain, cursor: () => cursor };
+    jest.spyOn(AuditLog, 'find').mockReturnValue(chain);
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('streams the audit log as CSV', async () => {
+    mockAuditCursor(cursorOf([{
+      createdAt: new Date('2031-01-01T00:00:00Z'),
+      actor: { email: 'admin@example.com' },
+      actorRole: 'admin',
+      action: 'car.update',
+      targetType: 'Car',
+      targetId: 'car1',
+      changes: { before: { pricePerDay: 40 }, after: { pricePerDay: 50 } }
+    }]));
+
+    const res = await request(app).get('/api/admin/audit/export');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="audit-log.csv"');
+    expect(res.text.split('\r\n')).toEqual([
+      'createdAt,actor,actorRole,action,targetType,targetId,before,after,ip',
+      '2031-01-01T00:00:00.000Z,admin@example.com,admin,car.update,Car,car1,"{""pricePerDay"":40}","{""pricePerDay"":50}",',
+      ''
+    ]);
+  });
+
+  it('aborts the download when the cursor fails midway', async () => {
+    mockAuditCursor(cursorOf([{ action: 'a' }, { action: 'b' }], { failAfter: 1 }));
+
+    await expect(request(app).get('/api/admin/audit/export')).rejects.toThrow();
+  });
+});
@@ -0,0 +1,169 @@
+jest.mock('../src/services/notifications', () => ({
+  notifyAccountClaim: jest.fn(),
+  notifyGuestBookingAccess: jest.fn()
+}));
+jest.mock('../src/services/sessions', () => ({
+  ...jest.requireActual('../src/services/sessions'),
+  createSession: jest.fn().mockResolvedValue({ token: 'access', refreshToken: 'refresh' })
+}));
+jest.mock('../src/services/audit', () => ({
+  recordAudit: jest.fn()
+}));
+jest.mock('../src/services/bookingStatus', () => ({
+  ...jest.requireActual('../src/services/bookingStatus'),
+  transitionBooking: jest.fn(async (booking, to) => {
+    booking.status = to;
+    return booking;
+  })
+}));
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const User = require('../src/models/User');
+const auth = require('../src/middleware/auth');
+const { createGuestAccessToken, verifyGuestAccessToken } = require('../src/services/guestAccess');
+const { notifyAccountClaim, notifyGuestBookingAccess } = require('../src/services/notifications');
+const { transitionBooking } = require('../src/services/bookingStatus');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', require('../src/routes/auth'));
+app.use('/api/bookings', require('../src/routes/bookings'));
+
+const makeGuest = () => {
+  const guest = new User({ name: 'Guest', email: 'guest@example.com', phone: '555', role: 'guest', isGuest: true });
+  guest.save = jest.fn().mockResolvedValue(guest);
+  return guest;
+};
+
+let guest;
+
+beforeEach(() => {
+  guest = makeGuest();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('guest access tokens', () => {
+  it('round-trip to the guest id', () => {
+    expect(verifyGuestAccessToken(createGuestAccessToken(guest))).toBe(String(guest._id));
+  });
+
+  it('refuse other tokens signed with the same secret', () => {
+    const accessToken = jwt.sign({ id: guest._id, sid: 'session1' }, 'test-secret');
+
+    expect(verifyGuestAccessToken(accessToken)).toBeNull();
+    expect(verifyGuestAccessToken('garbage')).toBeNull();
+  });
+
+  it('are not accepted as API access tokens', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue(guest);
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await auth({ headers: { authorization: `Bearer ${createGuestAccessToken(guest)}` } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe('guest magic links', () => {
+  it('emails a link to a known guest and gives the same answer for unknown emails', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValueOnce(guest).mockResolvedValueOnce(null);
+
+    const known = await request(app).post('/api/bookings/guest/lookup').send({ email: 'Guest@example.com' });
+    const unknown = await request(app).post('/api/bookings/guest/lookup').send({ email: 'nobody@example.com' });
+
+    expect(User.findOne).toHaveBeenCalledWith({ email: 'guest@example.com', isGuest: true });
+    expect(notifyGuestBookingAccess).toHaveBeenCalledTimes(1);
+    expect(notifyGuestBookingAccess).toHaveBeenCalledWith(guest, expect.any(String));
+    expect(unknown.status).toBe(known.status);
+    expect(unknown.body).toEqual(known.body);
+  });
+
+  it('lists the guest\'s bookings', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(guest);
+    const sort = jest.fn().mockResolvedValue([{ _id: 'booking1' }]);
+    jest.spyOn(Booking, 'find').mockReturnValue({ populate: () => ({ sort }) });
+
+    const res = await request(app).get(`/api/bookings/guest/access/${createGuestAccessToken(guest)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([{ _id: 'booking1' }]);
+    expect(Booking.find).toHaveBeenCalledWith({ user: guest._id });
+  });
+
+  it('refuses an expired link', async () => {
+    const expired = jwt.sign({ id: guest._id, purpose: 'guest-booking-access' }, 'test-secret', { expiresIn: -1 });
+
+    const res = await request(app).get(`/api/bookings/guest/access/${expired}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Link is invalid or has expired');
+  });
+
+  it('cancels only the guest\'s own bookings', async () => {
+    const booking = { _id: new mongoose.Types.ObjectId(), status: 'confirmed' };
+    jest.spyOn(User, 'findOne').mockResolvedValue(guest);
+    jest.spyOn(Booking, 'findOne').mockResolvedValueOnce(booking).mockResolvedValueOnce(null);
+    const token = createGuestAccessToken(guest);
+
+    const own = await request(app).put(`/api/bookings/guest/access/${token}/${booking._id}/cancel`).send({ reason: 'Flight cancelled' });
+    const other = await request(app).put(`/api/bookings/guest/access/${token}/${new mongoose.Types.ObjectId()}/cancel`);
+
+    expect(own.status).toBe(200);
+    expect(transitionBooking).toHaveBeenCalledWith(booking, 'cancelled', { actor: guest._id, note: 'Flight cancelled' });
+    expect(Booking.findOne).toHaveBeenCalledWith({ _id: String(booking._id), user: guest._id });
+    expect(other.status).toBe(404);
+  });
+});
+
+describe('claiming a guest account', () => {
+  const registration = { name: 'Guest', email: 'guest@example.com', password: 'secret1', phone: '555', licenseNumber: 'DL1' };
+
+  it('sends registrations for a guest email through the claim link', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(guest);
+
+    const res = await request(app).post('/api/auth/register').send(registration);
+
+    expect(res.status).toBe(202);
+    expect(notifyAccountClaim).toHaveBeenCalledWith(guest, expect.any(String));
+    expect(guest.isGuest).toBe(true);
+    expect(guest.password).toBeUndefined();
+  });
+
+  it('upgrades the guest record when the emailed link is followed', async () => {
+    const claimToken = guest.createAccountClaimToken();
+    jest.spyOn(User, 'findOne').mockResolvedValue(guest);
+
+    const res = await request(app).post(`/api/auth/claim/${claimToken}`).send({ password: 'secret1', licenseNumber: 'DL1' });
+
+    expect(res.status).toBe(200);
+    expect(User.findOne).toHaveBeenCalledWith({
+      isGuest: true,
+      accountClaimToken: User.hashToken(claimToken),
+      accountClaimExpires: { $gt: expect.any(Date) }
+    });
+    expect(guest).toMatchObject({ isGuest: false, role: 'user', isVerified: true, licenseNumber: 'DL1' });
+    expect(guest.accountClaimToken).toBeUndefined();
+    expect(res.body.token).toBe('access');
+  });
+
+  it('refuses an unknown or expired claim link', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app).post('/api/auth/claim/nope').send({ password: 'secret1', licenseNumber: 'DL1' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Account link is invalid or has expired');
+  });
+});
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Specs that need a real database use describeWithDb; they are skipped when
+// globalSetup could not provide one
+const describeWithDb = process.env.MONGO_TEST_URI ? describe : describe.skip;
+
+// Connect each test file to its own database and empty it between tests
+const useTestDatabase = () => {
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGO_TEST_URI, {
+      dbName: `car-rental-test-${process.env.JEST_WORKER_ID}-${Date.now()}`
+    });
+    await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+  });
+
+  afterEach(async () => {
+    await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+};
+
+module.exports = {
+  describeWithDb,
+  useTestDatabase
+};
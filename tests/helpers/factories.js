@@ -0,0 +1,67 @@
+const Branch = require('../../src/models/Branch');
+const Car = require('../../src/models/Car');
+const User = require('../../src/models/User');
+
+let sequence = 0;
+const next = () => ++sequence;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A date `days` from now at 10:00 UTC, inside the factory branches' opening hours
+const daysFromNow = (days) => {
+  const date = new Date(Date.now() + days * DAY_MS);
+  date.setUTCHours(10, 0, 0, 0);
+  return date;
+};
+
+// Branch open every day from 08:00 to 20:00 UTC
+const createBranch = (overrides = {}) => {
+  const n = next();
+  return Branch.create({
+    name: `Branch ${n}`,
+    code: `BR${n}`,
+    address: { city: 'Springfield' },
+    location: { type: 'Point', coordinates: [0, 0] },
+    timezone: 'UTC',
+    openingHours: [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, open: '08:00', close: '20:00' })),
+    ...overrides
+  });
+};
+
+const createCar = async (overrides = {}) => {
+  const branch = overrides.branch || (await createBranch())._id;
+  return Car.create({
+    name: `Car ${next()}`,
+    brand: 'Toyota',
+    model: 'Corolla',
+    year: 2022,
+    category: 'compact',
+    pricePerDay: 50,
+    seats: 5,
+    transmission: 'automatic',
+    fuelType: 'gasoline',
+    mileage: 10000,
+    ...overrides,
+    branch
+  });
+};
+
+const createUser = (overrides = {}) => {
+  const n = next();
+  return User.create({
+    name: `Customer ${n}`,
+    email: `customer${n}@example.com`,
+    password: 'password123',
+    phone: '555-0100',
+    licenseNumber: `DL${n}`,
+    ...overrides
+  });
+};
+
+module.exports = {
+  DAY_MS,
+  daysFromNow,
+  createBranch,
+  createCar,
+  createUser
+};
@@ -0,0 +1,44 @@
+jest.mock('../src/services/bookingStatus', () => ({
+  ...jest.requireActual('../src/services/bookingStatus'),
+  transitionBooking: jest.fn()
+}));
+
+const Booking = require('../src/models/Booking');
+const WaitlistEntry = require('../src/models/WaitlistEntry');
+const { expireLapsedHolds } = require('../src/services/bookings');
+const { transitionBooking } = require('../src/services/bookingStatus');
+
+const now = new Date('2031-01-01T10:00:00Z');
+
+describe('expireLapsedHolds', () => {
+  beforeEach(() => {
+    transitionBooking.mockReset();
+    jest.spyOn(WaitlistEntry, 'distinct').mockResolvedValue(['offer1']);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('cancels pending bookings whose hold has lapsed, leaving waitlist offers alone', async () => {
+    const lapsed = [{ _id: 'booking1' }, { _id: 'booking2' }];
+    const find = jest.spyOn(Booking, 'find').mockResolvedValue(lapsed);
+
+    await expireLapsedHolds(now);
+
+    expect(find).toHaveBeenCalledWith({ _id: { $nin: ['offer1'] }, status: 'pending', holdExpiresAt: { $lte: now } });
+    expect(transitionBooking).toHaveBeenCalledTimes(2);
+    expect(transitionBooking).toHaveBeenCalledWith(lapsed[0], 'cancelled', { note: 'Hold expired', now });
+  });
+
+  it('carries on with the other bookings when one cannot be cancelled', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Booking, 'find').mockResolvedValue([{ _id: 'booking1' }, { _id: 'booking2' }]);
+    transitionBooking.mockRejectedValueOnce(new Error('Stripe is down'));
+
+    await expireLapsedHolds(now);
+
+    expect(transitionBooking).toHaveBeenCalledTimes(2);
+    expect(console.error).toHaveBeenCalledWith('Could not cancel booking booking1 after its hold expired: Stripe is down');
+  });
+});
@@ -0,0 +1,74 @@
+const ENV_KEYS = ['EMAIL_TRANSPORT', 'EMAIL_FROM', 'SMTP_HOST', 'SMTP_PORT', 'SMTP_SECURE', 'SMTP_USER', 'SMTP_PASS'];
+const originalEnv = { ...process.env };
+
+// The transport is created once per module instance, so load a fresh copy for each env
+const loadMailer = (env) => {
+  ENV_KEYS.forEach(key => { delete process.env[key]; });
+  Object.assign(process.env, env);
+
+  let mailer;
+  jest.isolateModules(() => {
+    mailer = require('../src/services/mailer');
+  });
+  return mailer;
+};
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => { delete process.env[key]; });
+  Object.assign(process.env, originalEnv);
+});
+
+describe('mailer', () => {
+  it('renders messages to JSON when EMAIL_TRANSPORT=json', async () => {
+    const mailer = loadMailer({ EMAIL_TRANSPORT: 'json', EMAIL_FROM: 'Rentals <hello@example.com>' });
+
+    expect(mailer.getTransport().transporter.name).toBe('JSONTransport');
+
+    const info = await mailer.sendMail({ to: 'ada@example.com', subject: 'Hello', text: 'Hi Ada' });
+    const message = JSON.parse(info.message);
+
+    expect(message.from).toEqual({ address: 'hello@example.com', name: 'Rentals' });
+    expect(message.to).toEqual([{ address: 'ada@example.com', name: '' }]);
+    expect(message.subject).toBe('Hello');
+  });
+
+  it('uses SMTP settings from the environment otherwise', () => {
+    const mailer = loadMailer({
+      SMTP_HOST: 'smtp.example.com',
+      SMTP_PORT: '2525',
+      SMTP_SECURE: 'true',
+      SMTP_USER: 'mailer',
+      SMTP_PASS: 'secret'
+    });
+
+    const { options } = mailer.getTransport();
+
+    expect(options).toMatchObject({
+      host: 'smtp.example.com',
+      port: 2525,
+      secure: true,
+      auth: { user: 'mailer', pass: 'secret' }
+    });
+  });
+
+  it('defaults to an unauthenticated local SMTP server', () => {
+    const { options } = loadMailer({}).getTransport();
+
+    expect(options).toMatchObject({ host: 'localhost', port: 587, secure: false });
+    expect(options.auth).toBeUndefined();
+  });
+
+  it('lets tests replace the transport', async () => {
+    const mailer = loadMailer({ EMAIL_TRANSPORT: 'json' });
+    const transport = { sendMail: jest.fn().mockResolvedValue({ messageId: 'm1' }) };
+
+    mailer.setTransport(transport);
+    await mailer.sendMail({ to: 'ada@example.com', subject: 'Hello' });
+
+    expect(transport.sendMail).toHaveBeenCalledWith({
+      from: 'Car Rental <no-reply@example.com>',
+      to: 'ada@example.com',
+      subject: 'Hello'
+    });
+  });
+});
@@ -0,0 +1,77 @@
+jest.mock('../src/services/notifications', () => ({
+  sendEmail: jest.fn()
+}));
+
+const Car = require('../src/models/Car');
+const { serviceDueReasons, sendServiceReminders } = require('../src/services/maintenance');
+const { sendEmail } = require('../src/services/notifications');
+const { describeWithDb, useTestDatabase } = require('./helpers/db');
+const { DAY_MS, createCar } = require('./helpers/factories');
+
+const interval = { km: 15000, days: 365 };
+const now = new Date('2030-06-01T00:00:00Z');
+
+describe('serviceDueReasons', () => {
+  it('is due once the mileage interval has been driven since the last service', () => {
+    const car = { mileage: 40000, createdAt: now, service: { lastServiceMileage: 25000, lastServiceAt: now } };
+
+    expect(serviceDueReasons(car, { now, interval })).toEqual([
+      '15000 km driven since the last service (interval 15000 km)'
+    ]);
+  });
+
+  it('is due once the time interval has passed since the last service', () => {
+    const lastServiceAt = new Date(now.getTime() - 400 * DAY_MS);
+    const car = { mileage: 26000, createdAt: lastServiceAt, service: { lastServiceMileage: 25000, lastServiceAt } };
+
+    expect(serviceDueReasons(car, { now, interval })).toEqual([
+      '400 days since the last service (interval 365 days)'
+    ]);
+  });
+
+  it('measures cars without a mileage baseline from their current mileage', () => {
+    const car = { mileage: 120000, createdAt: now, service: {} };
+
+    expect(serviceDueReasons(car, { now, interval })).toEqual([]);
+  });
+});
+
+describeWithDb('sendServiceReminders', () => {
+  useTestDatabase();
+
+  beforeEach(() => {
+    sendEmail.mockClear();
+    process.env.FLEET_NOTIFY_EMAIL = 'fleet@example.com';
+  });
+
+  it('starts new cars at the mileage they were added with', async () => {
+    const car = await createCar({ mileage: 80000 });
+
+    expect(car.service.lastServiceMileage).toBe(80000);
+    await sendServiceReminders();
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('seeds legacy cars from their current mileage instead of reporting them overdue', async () => {
+    const car = await createCar({ mileage: 90000 });
+    await Car.collection.updateOne({ _id: car._id }, { $unset: { 'service.lastServiceMileage': 1 } });
+
+    await sendServiceReminders();
+
+    expect(sendEmail).not.toHaveBeenCalled();
+    expect((await Car.findById(car._id)).service.lastServiceMileage).toBe(90000);
+  });
+
+  it('reminds the fleet team once per service cycle', async () => {
+    const car = await createCar({ mileage: 10000 });
+    await Car.updateOne({ _id: car._id }, { mileage: 26000 });
+
+    await sendServiceReminders();
+    await sendServiceReminders();
+
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail).toHaveBeenCalledWith('serviceDue', 'fleet@example.com', expect.objectContaining({
+      reasons: ['16000 km driven since the last service (interval 15000 km)']
+    }));
+  });
+});
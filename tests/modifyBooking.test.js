@@ -0,0 +1,301 @@
+const mongoose = require('mongoose');
+
+// Records whether the car lock is held, so Stripe calls can be checked to happen outside it
+const mockLock = { held: false };
+
+jest.mock('../src/services/reservation', () => ({
+  ...jest.requireActual('../src/services/reservation'),
+  resolveBranches: jest.fn(),
+  findConflicts: jest.fn(),
+  withCarLock: jest.fn(async (carId, fn) => {
+    mockLock.held = true;
+    try {
+      return await fn();
+    } finally {
+      mockLock.held = false;
+    }
+  })
+}));
+
+const Booking = require('../src/models/Booking');
+const Car = require('../src/models/Car');
+const Coupon = require('../src/models/Coupon');
+const { modifyBooking } = require('../src/services/bookings');
+const { resolveBranches, findConflicts, ReservationError } = require('../src/services/reservation');
+const { calculatePrice } = require('../src/services/pricing');
+const { setStripe } = require('../src/services/stripe');
+
+const id = () => new mongoose.Types.ObjectId();
+const branch = { _id: id(), name: 'Downtown' };
+const car = { _id: id(), name: 'Corolla', category: 'compact', pricePerDay: 50, isAvailable: true };
+const now = new Date('2031-01-01T10:00:00Z');
+const start = new Date('2031-03-03T10:00:00Z');
+const end = new Date('2031-03-06T10:00:00Z');
+
+const priceFor = (startDate, endDate, coupon) => calculatePrice({
+  car,
+  startDate,
+  endDate,
+  pickupBranch: branch._id,
+  returnBranch: branch._id,
+  coupon
+}).total;
+
+const makeBooking = (overrides = {}) => {
+  const booking = new Booking({
+    user: id(),
+    car: car._id,
+    startDate: start,
+    endDate: end,
+    totalAmount: priceFor(start, end),
+    pickupBranch: branch._id,
+    returnBranch: branch._id,
+    pickupLocation: branch.name,
+    returnLocation: branch.name,
+    status: 'confirmed',
+    ...overrides
+  });
+  booking.save = jest.fn().mockResolvedValue(booking);
+  return booking;
+};
+
+let stripe;
+let stripeCallsInLock;
+
+beforeEach(() => {
+  jest.spyOn(Car, 'findById').mockResolvedValue(car);
+  resolveBranches.mockResolvedValue({ pickupBranch: branch, returnBranch: branch });
+  findConflicts.mockResolvedValue([]);
+
+  let refunds = 0;
+  stripeCallsInLock = 0;
+  const track = (implementation) => jest.fn(async (...args) => {
+    if (mockLock.held) stripeCallsInLock++;
+    return implementation(...args);
+  });
+  stripe = {
+    paymentIntents: {
+      retrieve: track(async () => ({})),
+      update: track(async () => ({})),
+      cancel: track(async () => ({}))
+    },
+    refunds: {
+      create: track(async (params) => ({ id: `re_${++refunds}`, ...params }))
+    }
+  };
+  setStripe(stripe);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('modifyBooking', () => {
+  it('reprices the booking and records the change', async () => {
+    const booking = makeBooking();
+    const newEnd = new Date('2031-03-08T10:00:00Z');
+
+    const result = await modifyBooking(booking, { endDate: newEnd }, { now, note: 'Longer trip' });
+
+    expect(booking.endDate).toEqual(newEnd);
+    expect(booking.totalAmount).toBe(priceFor(start, newEnd));
+    expect(result.difference).toBeCloseTo(priceFor(start, newEnd) - priceFor(start, end), 2);
+    expect(result.changes).toEqual({ endDate: { from: end, to: newEnd } });
+    expect(booking.changeHistory).toHaveLength(1);
+    expect(booking.changeHistory[0].note).toBe('Longer trip');
+    expect(findConflicts).toHaveBeenCalledWith(car._id, start, newEnd, { excludeBookingId: booking._id });
+    expect(booking.save).toHaveBeenCalled();
+  });
+
+  it('rejects dates that clash with another booking', async () => {
+    findConflicts.mockResolvedValue([{ _id: id() }]);
+    const booking = makeBooking();
+
+    await expect(modifyBooking(booking, { endDate: new Date('2031-03-08T10:00:00Z') }, { now }))
+      .rejects.toThrow('Car is not available for the selected dates');
+    expect(booking.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects requests that change nothing', async () => {
+    await expect(modifyBooking(makeBooking(), { endDate: end }, { now })).rejects.toThrow('No changes to apply');
+  });
+
+  describe('coupons', () => {
+    const terms = { code: 'SPRING', discountType: 'percent', value: 10, eligibleCategories: ['compact'] };
+    const newEnd = new Date('2031-03-08T10:00:00Z');
+
+    it('reprices with the coupon terms stored on the booking', async () => {
+      const findCoupon = jest.spyOn(Coupon, 'findById');
+      const booking = makeBooking({ coupon: id(), couponCode: 'SPRING', pricing: { coupon: terms } });
+
+      await modifyBooking(booking, { endDate: newEnd }, { now });
+
+      expect(findCoupon).not.toHaveBeenCalled();
+      expect(booking.totalAmount).toBe(priceFor(start, newEnd, terms));
+      expect(booking.pricing.coupon.code).toBe('SPRING');
+    });
+
+    it('rejects a car the coupon does not cover', async () => {
+      Car.findById.mockResolvedValue({ ...car, _id: id(), category: 'suv' });
+      const booking = makeBooking({ coupon: id(), couponCode: 'SPRING', pricing: { coupon: terms } });
+
+      await expect(modifyBooking(booking, { car: id() }, { now }))
+        .rejects.toThrow('Coupon SPRING is not valid for this car category');
+      expect(booking.save).not.toHaveBeenCalled();
+    });
+
+    it('falls back to the coupon itself for bookings made before its terms were stored', async () => {
+      jest.spyOn(Coupon, 'findById').mockResolvedValue({ ...terms, eligibleCategories: [] });
+      const booking = makeBooking({ coupon: id(), couponCode: 'SPRING' });
+
+      await modifyBooking(booking, { endDate: newEnd }, { now });
+
+      expect(booking.totalAmount).toBe(priceFor(start, newEnd, terms));
+    });
+  });
+
+  describe('unpaid bookings with an open PaymentIntent', () => {
+    const newEnd = new Date('2031-03-08T10:00:00Z');
+
+    it('updates the PaymentIntent to the new total', async () => {
+      stripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_1', status: 'requires_payment_method', amount: 1 });
+      const booking = makeBooking({ status: 'pending', stripePaymentIntentId: 'pi_1' });
+
+      await modifyBooking(booking, { endDate: newEnd }, { now });
+
+      expect(stripe.paymentIntents.update).toHaveBeenCalledWith('pi_1', { amount: Math.round(priceFor(start, newEnd) * 100) });
+      expect(booking.save).toHaveBeenCalled();
+      expect(stripeCallsInLock).toBe(0);
+    });
+
+    it('keeps the change and flags the booking when Stripe cannot be updated', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      stripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_1', status: 'requires_payment_method', amount: 1 });
+      stripe.paymentIntents.update.mockRejectedValue(new Error('Stripe is down'));
+      const booking = makeBooking({ status: 'pending', stripePaymentIntentId: 'pi_1' });
+
+      await modifyBooking(booking, { endDate: newEnd }, { now });
+
+      expect(booking.endDate).toEqual(newEnd);
+      expect(booking.paymentIssue.reason).toBe('Payment not updated after the booking was modified: Stripe is down');
+      expect(booking.save).toHaveBeenCalledTimes(2);
+    });
+
+    it.each(['succeeded', 'processing'])('refuses to reprice while the payment is %s', async (status) => {
+      stripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_1', status, amount: 1 });
+      const booking = makeBooking({ status: 'pending', stripePaymentIntentId: 'pi_1' });
+
+      const error = await modifyBooking(booking, { endDate: newEnd }, { now }).catch(err => err);
+
+      expect(error).toBeInstanceOf(ReservationError);
+      expect(error.status).toBe(409);
+      expect(stripe.paymentIntents.update).not.toHaveBeenCalled();
+      expect(booking.save).not.toHaveBeenCalled();
+    });
+
+    it('ignores a cancelled PaymentIntent', async () => {
+      stripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_1', status: 'canceled', amount: 1 });
+      const booking = makeBooking({ status: 'pending', stripePaymentIntentId: 'pi_1' });
+
+      await modifyBooking(booking, { endDate: newEnd }, { now });
+
+      expect(stripe.paymentIntents.update).not.toHaveBeenCalled();
+      expect(booking.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('paid bookings', () => {
+    it('adds a price increase to the balance due', async () => {
+      const booking = makeBooking({ paymentStatus: 'paid', stripePaymentIntentId: 'pi_1' });
+      booking.amountPaid = booking.totalAmount;
+      const newEnd = new Date('2031-03-08T10:00:00Z');
+
+      const result = await modifyBooking(booking, { endDate: newEnd }, { now });
+
+      expect(result.difference).toBeGreaterThan(0);
+      expect(booking.balanceDue).toBe(result.difference);
+      expect(stripe.refunds.create).not.toHaveBeenCalled();
+    });
+
+    it('refunds a price decrease to the card', async () => {
+      const booking = makeBooking({ paymentStatus: 'paid', stripePaymentIntentId: 'pi_1' });
+      booking.amountPaid = booking.totalAmount;
+      const newEnd = new Date('2031-03-04T10:00:00Z');
+
+      const result = await modifyBooking(booking, { endDate: newEnd }, { now });
+
+      expect(result.difference).toBeLessThan(0);
+      expect(result.refunded).toBe(-result.difference);
+      expect(stripe.refunds.create).toHaveBeenCalledWith(
+        { payment_intent: 'pi_1', amount: Math.round(-result.difference * 100) },
+        { idempotencyKey: `modify-${booking._id}-0-pi_1` }
+      );
+      expect(booking.balanceDue).toBe(0);
+      expect(stripeCallsInLock).toBe(0);
+    });
+
+    it('takes a price decrease off an unpaid balance before refunding', async () => {
+      const booking = makeBooking({ paymentStatus: 'paid', stripePaymentIntentId: 'pi_1', balanceDue: 500 });
+      booking.amountPaid = booking.totalAmount - 500;
+
+      const result = await modifyBooking(booking, { endDate: new Date('2031-03-04T10:00:00Z') }, { now });
+
+      expect(booking.balanceDue).toBe(500 + result.difference);
+      expect(result.refunded).toBe(0);
+      expect(stripe.refunds.create).not.toHaveBeenCalled();
+    });
+
+    it('records what was paid for bookings paid before amountPaid existed', async () => {
+      const booking = makeBooking({ paymentStatus: 'paid', stripePaymentIntentId: 'pi_1', totalAmount: 999 });
+      stripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_1', status: 'succeeded', amount: 20000, amount_received: 20000 });
+
+      await modifyBooking(booking, { endDate: new Date('2031-03-04T10:00:00Z') }, { now });
+
+      expect(booking.amountPaid).toBe(200);
+      // The refund is capped by what was actually paid, not the old total
+      expect(stripe.refunds.create).toHaveBeenCalledTimes(1);
+      expect(stripe.refunds.create).toHaveBeenCalledWith({ payment_intent: 'pi_1', amount: 20000 }, expect.any(Object));
+    });
+
+    describe('with an unpaid balance charge', () => {
+      const withCharge = () => {
+        const booking = makeBooking({ paymentStatus: 'paid', stripePaymentIntentId: 'pi_1', balanceDue: 30 });
+        booking.amountPaid = booking.totalAmount - 30;
+        booking.paymentAdjustments.push({ kind: 'charge', amount: 30, stripePaymentIntentId: 'pi_extra', status: 'pending' });
+        stripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_extra', status: 'requires_payment_method', amount: 3000 });
+        return booking;
+      };
+
+      it('updates the charge to the new balance', async () => {
+        const booking = withCharge();
+
+        const result = await modifyBooking(booking, { endDate: new Date('2031-03-08T10:00:00Z') }, { now });
+
+        expect(booking.balanceDue).toBe(30 + result.difference);
+        expect(stripe.paymentIntents.update).toHaveBeenCalledWith('pi_extra', { amount: Math.round(booking.balanceDue * 100) });
+        expect(booking.paymentAdjustments[0].amount).toBe(booking.balanceDue);
+        expect(stripeCallsInLock).toBe(0);
+      });
+
+      it('cancels the charge when nothing is left to pay', async () => {
+        const booking = withCharge();
+
+        const result = await modifyBooking(booking, { endDate: new Date('2031-03-04T10:00:00Z') }, { now });
+
+        expect(booking.balanceDue).toBe(0);
+        expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_extra');
+        expect(booking.paymentAdjustments[0].status).toBe('cancelled');
+        expect(result.refunded).toBe(-result.difference - 30);
+      });
+
+      it('waits while the charge is being paid', async () => {
+        const booking = withCharge();
+        stripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_extra', status: 'processing', amount: 3000 });
+
+        await expect(modifyBooking(booking, { endDate: new Date('2031-03-04T10:00:00Z') }, { now }))
+          .rejects.toMatchObject({ status: 409 });
+        expect(booking.save).not.toHaveBeenCalled();
+      });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+jest.mock('../src/services/mailer', () => ({
+  sendMail: jest.fn()
+}));
+
+const { sendMail } = require('../src/services/mailer');
+const { sendEmail, notifyPasswordChanged } = require('../src/services/notifications');
+
+const user = { name: 'Ada', email: 'ada@example.com' };
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  sendMail.mockReset();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  console.error.mockRestore();
+});
+
+describe('notifications queue', () => {
+  it('renders the template and sends it on the next tick', async () => {
+    sendMail.mockResolvedValue({});
+
+    notifyPasswordChanged(user);
+    expect(sendMail).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'ada@example.com',
+      subject: 'Your password was changed'
+    }));
+  });
+
+  it('skips messages without a recipient', async () => {
+    sendEmail('passwordChanged', undefined, { user });
+
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  it('logs templates that fail to render instead of throwing', () => {
+    expect(() => sendEmail('missingTemplate', 'ada@example.com', {})).not.toThrow();
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Could not render "missingTemplate" email'));
+  });
+
+  it('retries failed sends with exponential backoff', async () => {
+    sendMail
+      .mockRejectedValueOnce(new Error('SMTP down'))
+      .mockRejectedValueOnce(new Error('SMTP down'))
+      .mockResolvedValue({});
+
+    notifyPasswordChanged(user);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(sendMail).toHaveBeenCalledTimes(1);
+
+    // First retry after 1s
+    await jest.advanceTimersByTimeAsync(999);
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(sendMail).toHaveBeenCalledTimes(2);
+
+    // Second retry after a further 2s
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(sendMail).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(sendMail).toHaveBeenCalledTimes(3);
+
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect(sendMail).toHaveBeenCalledTimes(3);
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('gives up after five attempts and logs the failure', async () => {
+    sendMail.mockRejectedValue(new Error('SMTP down'));
+
+    notifyPasswordChanged(user);
+    await jest.advanceTimersByTimeAsync(0);
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+
+    expect(sendMail).toHaveBeenCalledTimes(5);
+    expect(console.error).toHaveBeenCalledWith(
+      'Giving up on "Your password was changed" email to ada@example.com: SMTP down'
+    );
+  });
+});
@@ -0,0 +1,210 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.STRIPE_SECRET_KEY = 'sk_test_123';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+jest.mock('../src/models/Booking', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('../src/services/bookingStatus', () => ({
+  transitionBooking: jest.fn(),
+  BookingTransitionError: class BookingTransitionError extends Error {}
+}));
+jest.mock('../src/services/notifications', () => ({
+  notifyPaymentReceived: jest.fn()
+}));
+
+const Booking = require('../src/models/Booking');
+const { transitionBooking } = require('../src/services/bookingStatus');
+const { notifyPaymentReceived } = require('../src/services/notifications');
+const { getStripe } = require('../src/services/stripe');
+
+const app = express();
+app.use('/api/payments', require('../src/routes/payments'));
+
+const makeBooking = (overrides = {}) => ({
+  _id: 'booking1',
+  status: 'pending',
+  paymentStatus: 'pending',
+  totalAmount: 100,
+  stripePaymentIntentId: 'pi_1',
+  balanceDue: 0,
+  paymentAdjustments: [],
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+const sendEvent = (type, paymentIntent) => {
+  const payload = JSON.stringify({ id: 'evt_1', object: 'event', type, data: { object: paymentIntent } });
+  const signature = getStripe().webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET
+  });
+
+  return request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', signature)
+    .send(payload);
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('POST /api/payments/webhook', () => {
+  it('rejects events with an invalid signature', async () => {
+    const res = await request(app)
+      .post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', 't=1,v1=bad')
+      .send('{}');
+
+    expect(res.status).toBe(400);
+    expect(Booking.findOne).not.toHaveBeenCalled();
+  });
+
+  it('marks the booking paid and confirms it when intent and amount match', async () => {
+    const booking = makeBooking();
+    Booking.findOne.mockResolvedValue(booking);
+
+    const res = await sendEvent('payment_intent.succeeded', { id: 'pi_1', amount: 10000, metadata: {} });
+
+    expect(res.status).toBe(200);
+    expect(booking.paymentStatus).toBe('paid');
+    expect(booking.amountPaid).toBe(100);
+    expect(booking.paidAt).toBeInstanceOf(Date);
+    expect(notifyPaymentReceived).toHaveBeenCalledWith(booking);
+    expect(transitionBooking).toHaveBeenCalledWith(booking, 'confirmed', { note: 'Payment received' });
+  });
+
+  it('flags a payment whose amount differs from the booking total', async () => {
+    const booking = makeBooking({ totalAmount: 500 });
+    Booking.findOne.mockResolvedValue(booking);
+
+    const res = await sendEvent('payment_intent.succeeded', { id: 'pi_1', amount: 10000, metadata: {} });
+
+    expect(res.status).toBe(200);
+    expect(booking.paymentStatus).toBe('pending');
+    expect(booking.paymentIssue).toMatchObject({
+      reason: 'Amount paid does not match the booking total',
+      stripePaymentIntentId: 'pi_1',
+      amount: 100
+    });
+    expect(booking.save).toHaveBeenCalled();
+    expect(transitionBooking).not.toHaveBeenCalled();
+  });
+
+  it('flags a payment from an intent that is not the booking\'s current one', async () => {
+    const booking = makeBooking({ stripePaymentIntentId: 'pi_2' });
+    Booking.findOne.mockResolvedValue(null);
+    Booking.findById.mockResolvedValue(booking);
+
+    await sendEvent('payment_intent.succeeded', { id: 'pi_old', amount: 10000, metadata: { bookingId: 'booking1' } });
+
+    expect(booking.paymentStatus).toBe('pending');
+    expect(booking.paymentIssue.reason).toBe('PaymentIntent does not belong to this booking');
+    expect(transitionBooking).not.toHaveBeenCalled();
+  });
+
+  it('ignores bookings that are already paid', async () => {
+    const booking = makeBooking({ paymentStatus: 'paid' });
+    Booking.findOne.mockResolvedValue(booking);
+
+    await sendEvent('payment_intent.succeeded', { id: 'pi_1', amount: 10000, metadata: {} });
+
+    expect(booking.save).not.toHaveBeenCalled();
+    expect(notifyPaymentReceived).not.toHaveBeenCalled();
+  });
+
+  it('refunds a payment that completes after the booking was cancelled', async () => {
+    const refunds = jest.spyOn(getStripe().refunds, 'create').mockResolvedValue({ id: 're_1' });
+    const booking = makeBooking({ status: 'cancelled' });
+    Booking.findOne.mockResolvedValue(booking);
+
+    await sendEvent('payment_intent.succeeded', { id: 'pi_1', amount: 10000, metadata: {} });
+
+    expect(refunds).toHaveBeenCalledWith({ payment_intent: 'pi_1' }, { idempotencyKey: 'cancelled-pi_1' });
+    expect(booking.paymentStatus).toBe('pending');
+    expect(booking.paymentIssue).toMatchObject({ reason: 'Payment received after the booking was cancelled and refunded', amount: 100 });
+    expect(notifyPaymentReceived).not.toHaveBeenCalled();
+    expect(transitionBooking).not.toHaveBeenCalled();
+    refunds.mockRestore();
+  });
+
+  it('refunds a balance charge that completes after the booking was cancelled', async () => {
+    const refunds = jest.spyOn(getStripe().refunds, 'create').mockResolvedValue({ id: 're_1' });
+    const booking = makeBooking({
+      status: 'cancelled',
+      paymentStatus: 'refunded',
+      amountPaid: 100,
+      balanceDue: 50,
+      paymentAdjustments: [{ kind: 'charge', amount: 50, stripePaymentIntentId: 'pi_extra', status: 'pending' }]
+    });
+    Booking.findById.mockResolvedValue(booking);
+
+    await sendEvent('payment_intent.succeeded', { id: 'pi_extra', amount: 5000, metadata: { bookingId: 'booking1', adjustment: 'true' } });
+
+    expect(refunds).toHaveBeenCalledWith(
+      { payment_intent: 'pi_extra', amount: 5000 },
+      { idempotencyKey: 'cancelled-pi_extra-pi_extra' }
+    );
+    expect(booking.paymentIssue.reason).toBe('Payment received after the booking was cancelled and refunded');
+    refunds.mockRestore();
+  });
+
+  it('applies a paid balance charge to the booking', async () => {
+    const booking = makeBooking({
+      paymentStatus: 'paid',
+      totalAmount: 150,
+      balanceDue: 50,
+      paymentAdjustments: [{ kind: 'charge', amount: 50, stripePaymentIntentId: 'pi_extra', status: 'pending' }]
+    });
+    Booking.findById.mockResolvedValue(booking);
+
+    await sendEvent('payment_intent.succeeded', { id: 'pi_extra', amount: 5000, metadata: { bookingId: 'booking1', adjustment: 'true' } });
+
+    expect(booking.paymentAdjustments[0].status).toBe('succeeded');
+    expect(booking.balanceDue).toBe(0);
+    expect(booking.paymentStatus).toBe('paid');
+  });
+
+  it('refunds a balance charge paid over what is still due', async () => {
+    const refunds = jest.spyOn(getStripe().refunds, 'create').mockResolvedValue({ id: 're_1' });
+    const booking = makeBooking({
+      paymentStatus: 'paid',
+      amountPaid: 100,
+      totalAmount: 120,
+      balanceDue: 20,
+      paymentAdjustments: [{ kind: 'charge', amount: 50, stripePaymentIntentId: 'pi_extra', status: 'pending' }]
+    });
+    Booking.findById.mockResolvedValue(booking);
+
+    await sendEvent('payment_intent.succeeded', { id: 'pi_extra', amount: 5000, metadata: { bookingId: 'booking1', adjustment: 'true' } });
+
+    expect(booking.balanceDue).toBe(0);
+    expect(refunds).toHaveBeenCalledWith(
+      { payment_intent: 'pi_extra', amount: 3000 },
+      { idempotencyKey: 'overpaid-pi_extra-pi_extra' }
+    );
+    expect(booking.paymentAdjustments[1]).toMatchObject({ kind: 'refund', amount: 30, reason: 'Balance overpaid' });
+    refunds.mockRestore();
+  });
+
+  it('marks the booking failed when a payment fails', async () => {
+    const booking = makeBooking();
+    Booking.findOne.mockResolvedValue(booking);
+
+    await sendEvent('payment_intent.payment_failed', { id: 'pi_1', amount: 10000, metadata: {} });
+
+    expect(booking.paymentStatus).toBe('failed');
+    expect(booking.save).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,118 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../src/models/User');
+const requirePermission = require('../src/middleware/permission');
+const { PERMISSIONS, ROLE_PERMISSIONS, ROLES, hasPermission } = require('../src/config/permissions');
+
+let mockUser;
+
+jest.mock('../src/middleware/auth', () => (req, res, next) => {
+  req.user = mockUser;
+  next();
+});
+jest.mock('../src/middleware/audit', () => () => (req, res, next) => next());
+
+describe('permission map', () => {
+  it('grants admins every permission', () => {
+    PERMISSIONS.forEach(permission => expect(hasPermission({ role: 'admin' }, permission)).toBe(true));
+  });
+
+  it('only grants known permissions', () => {
+    ROLES.forEach(role => {
+      ROLE_PERMISSIONS[role].forEach(permission => expect(PERMISSIONS).toContain(permission));
+    });
+  });
+
+  it('gives each staff role only what its job needs', () => {
+    expect(hasPermission({ role: 'staff' }, 'bookings:status')).toBe(true);
+    expect(hasPermission({ role: 'staff' }, 'cars:write')).toBe(false);
+    expect(hasPermission({ role: 'fleet_manager' }, 'cars:write')).toBe(true);
+    expect(hasPermission({ role: 'fleet_manager' }, 'reports:read')).toBe(false);
+    expect(hasPermission({ role: 'finance' }, 'reports:read')).toBe(true);
+    expect(hasPermission({ role: 'finance' }, 'users:manage')).toBe(false);
+  });
+
+  it('grants customers, guests, unknown roles and anonymous requests nothing', () => {
+    expect(hasPermission({ role: 'user' }, 'bookings:read')).toBe(false);
+    expect(hasPermission({ role: 'guest' }, 'bookings:read')).toBe(false);
+    expect(hasPermission({ role: 'superuser' }, 'bookings:read')).toBe(false);
+    expect(hasPermission(undefined, 'bookings:read')).toBe(false);
+  });
+});
+
+describe('requirePermission', () => {
+  const run = (user, ...permissions) => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    requirePermission(...permissions)({ user }, res, next);
+    return { res, next };
+  };
+
+  it('lets through users holding every listed permission', () => {
+    const { res, next } = run({ role: 'finance' }, 'bookings:read', 'reports:read');
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('answers 403 naming the missing permissions', () => {
+    const { res, next } = run({ role: 'staff' }, 'bookings:read', 'reports:read', 'coupons:manage');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      message: 'Access denied. Missing permission: reports:read, coupons:manage'
+    });
+  });
+});
+
+describe('admin routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', require('../src/routes/admin'));
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('are closed to roles without the permission', async () => {
+    mockUser = { id: 'staff1', role: 'staff' };
+
+    const res = await request(app).get('/api/admin/roles');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('list the roles and their permissions', async () => {
+    mockUser = { id: 'admin1', role: 'admin' };
+
+    const res = await request(app).get('/api/admin/roles');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toContainEqual({ role: 'finance', permissions: ROLE_PERMISSIONS.finance });
+  });
+
+  it('assign roles to registered users', async () => {
+    mockUser = { id: 'admin1', role: 'admin' };
+    const user = new User({ name: 'Sam', email: 'sam@example.com', role: 'user' });
+    user.save = jest.fn().mockResolvedValue(user);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    const res = await request(app).put(`/api/admin/users/${user._id}/role`).send({ role: 'fleet_manager' });
+
+    expect(res.status).toBe(200);
+    expect(user.role).toBe('fleet_manager');
+  });
+
+  it('refuse to change the caller\'s own role or make someone a guest', async () => {
+    mockUser = { id: 'admin1', role: 'admin' };
+
+    const own = await request(app).put('/api/admin/users/admin1/role').send({ role: 'user' });
+    const guest = await request(app).put('/api/admin/users/user1/role').send({ role: 'guest' });
+
+    expect(own.status).toBe(400);
+    expect(own.body.message).toBe('You cannot change your own role');
+    expect(guest.status).toBe(400);
+  });
+});
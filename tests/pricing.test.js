@@ -0,0 +1,186 @@
+const express = require('express');
+const request = require('supertest');
+const Car = require('../src/models/Car');
+const Coupon = require('../src/models/Coupon');
+const { calculatePrice, calculateReturnCharges } = require('../src/services/pricing');
+
+// Fixed rules so the specs do not depend on environment overrides
+const config = {
+  currency: 'usd',
+  weekendDays: [5, 6],
+  weekendMultiplier: 1.5,
+  seasons: [
+    { name: 'summer', label: 'Summer season', from: '06-15', to: '08-31', multiplier: 1.2 },
+    { name: 'holidays', label: 'Holiday season', from: '12-20', to: '01-05', multiplier: 2 }
+  ],
+  durationDiscounts: [
+    { name: 'monthly', label: 'Monthly discount', minDays: 28, percent: 20 },
+    { name: 'weekly', label: 'Weekly discount', minDays: 7, percent: 10 }
+  ],
+  oneWayFee: 50,
+  taxPercent: 10,
+  includedKmPerDay: 200,
+  excessKmRate: 0.5,
+  lateReturnGraceMinutes: 59,
+  lateReturnHourlyPercent: 20,
+  securityDeposit: { default: 200, luxury: 1000 }
+};
+
+const car = { pricePerDay: 100, category: 'compact' };
+
+// 2031-03-03 is a Monday
+const price = (startDate, endDate, options = {}) => calculatePrice({ car, startDate, endDate, ...options }, config);
+
+const codes = (quote) => quote.items.map(item => item.code);
+
+describe('calculatePrice', () => {
+  it('charges the daily price for each day and adds tax', () => {
+    const quote = price('2031-03-03T10:00:00Z', '2031-03-05T10:00:00Z');
+
+    expect(quote.totalDays).toBe(2);
+    expect(quote.items).toEqual([{ code: 'base', description: '2 day(s) x 100', amount: 200 }]);
+    expect(quote).toMatchObject({ subtotal: 200, taxPercent: 10, tax: 20, total: 220, currency: 'usd' });
+  });
+
+  it('counts a started day as a full day', () => {
+    expect(price('2031-03-03T10:00:00Z', '2031-03-04T12:00:00Z').totalDays).toBe(2);
+  });
+
+  it('adds the weekend rate for Fridays and Saturdays', () => {
+    const quote = price('2031-03-07T10:00:00Z', '2031-03-09T10:00:00Z');
+
+    expect(quote.items[1]).toEqual({ code: 'weekend', description: 'Weekend rate (2 day(s))', amount: 100 });
+    expect(quote.subtotal).toBe(300);
+  });
+
+  it('adds seasonal rates, including seasons that wrap the year end', () => {
+    const quote = price('2031-12-31T10:00:00Z', '2032-01-02T10:00:00Z');
+
+    expect(quote.items).toContainEqual({ code: 'season:holidays', description: 'Holiday season (2 day(s))', amount: 200 });
+  });
+
+  it('applies the largest duration discount to the rental', () => {
+    const weekly = price('2031-03-03T10:00:00Z', '2031-03-10T10:00:00Z');
+    const monthly = price('2031-03-03T10:00:00Z', '2031-03-31T10:00:00Z');
+
+    expect(codes(weekly)).toContain('discount:weekly');
+    expect(codes(monthly)).toContain('discount:monthly');
+    expect(codes(monthly)).not.toContain('discount:weekly');
+  });
+
+  it('applies percent and fixed coupons after other discounts', () => {
+    const percent = price('2031-03-03T10:00:00Z', '2031-03-05T10:00:00Z', {
+      coupon: { code: 'TEN', discountType: 'percent', value: 10 }
+    });
+    const fixed = price('2031-03-03T10:00:00Z', '2031-03-05T10:00:00Z', {
+      coupon: { code: 'BIG', discountType: 'fixed', value: 500 }
+    });
+
+    expect(percent.items[1]).toEqual({ code: 'coupon:TEN', description: 'Coupon TEN (10%)', amount: -20 });
+    expect(fixed.items[1].amount).toBe(-200);
+    expect(fixed.total).toBe(0);
+  });
+
+  it('charges the one-way fee when the return branch differs', () => {
+    const sameBranch = price('2031-03-03T10:00:00Z', '2031-03-05T10:00:00Z', { pickupBranch: 'a', returnBranch: 'a' });
+    const oneWay = price('2031-03-03T10:00:00Z', '2031-03-05T10:00:00Z', { pickupBranch: 'a', returnBranch: 'b' });
+    const byLocation = price('2031-03-03T10:00:00Z', '2031-03-05T10:00:00Z', { pickupLocation: 'Airport', returnLocation: ' airport ' });
+
+    expect(codes(sameBranch)).not.toContain('one_way');
+    expect(oneWay.items).toContainEqual({ code: 'one_way', description: 'One-way fee', amount: 50 });
+    expect(codes(byLocation)).not.toContain('one_way');
+  });
+
+  it('quotes the security deposit for the car category without adding it to the total', () => {
+    const compact = price('2031-03-03T10:00:00Z', '2031-03-05T10:00:00Z');
+    const luxury = calculatePrice({ car: { ...car, category: 'luxury' }, startDate: '2031-03-03T10:00:00Z', endDate: '2031-03-05T10:00:00Z' }, config);
+
+    expect(compact.securityDeposit).toBe(200);
+    expect(luxury.securityDeposit).toBe(1000);
+    expect(luxury.total).toBe(compact.total);
+  });
+});
+
+describe('calculateReturnCharges', () => {
+  const booking = {
+    totalDays: 2,
+    endDate: new Date('2031-03-05T10:00:00Z'),
+    conditionReport: { checkOut: { odometer: 1000 } }
+  };
+
+  it('charges nothing for an on-time return within the included distance', () => {
+    const charges = calculateReturnCharges({ car, booking, odometer: 1400, returnedAt: booking.endDate }, config);
+
+    expect(charges).toMatchObject({ distance: 400, includedDistance: 400, items: [], total: 0 });
+  });
+
+  it('charges excess distance and each started hour after the grace period', () => {
+    const returnedAt = new Date('2031-03-05T12:30:00Z');
+    const charges = calculateReturnCharges({ car, booking, odometer: 1500, returnedAt }, config);
+
+    expect(charges.items).toEqual([
+      { code: 'excess_km', description: '100 km over the 400 km included', amount: 50 },
+      { code: 'late_return', description: 'Late return (3 hour(s))', amount: 60 }
+    ]);
+    expect(charges.total).toBe(110);
+  });
+
+  it('caps the late fee at one day per day late', () => {
+    const returnedAt = new Date('2031-03-06T20:00:00Z');
+    const charges = calculateReturnCharges({ car, booking, odometer: 1000, returnedAt }, config);
+
+    expect(charges.items).toEqual([{ code: 'late_return', description: 'Late return (34 hour(s))', amount: 200 }]);
+  });
+});
+
+describe('GET /api/cars/:id/quote', () => {
+  const app = express();
+  app.use('/api/cars', require('../src/routes/cars'));
+
+  const quoted = { _id: '507f1f77bcf86cd799439011', pricePerDay: 100, category: 'compact', branch: 'branch1' };
+
+  beforeEach(() => {
+    jest.spyOn(Car, 'findById').mockResolvedValue(quoted);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the itemized price for the dates', async () => {
+    const res = await request(app).get(`/api/cars/${quoted._id}/quote?startDate=2031-03-03T10:00:00Z&endDate=2031-03-05T10:00:00Z`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual(JSON.parse(JSON.stringify(calculatePrice({
+      car: quoted,
+      startDate: new Date('2031-03-03T10:00:00Z'),
+      endDate: new Date('2031-03-05T10:00:00Z'),
+      pickupBranch: 'branch1',
+      returnBranch: 'branch1'
+    }))));
+  });
+
+  it('rejects an end date before the start date', async () => {
+    const res = await request(app).get(`/api/cars/${quoted._id}/quote?startDate=2031-03-05&endDate=2031-03-03`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('End date must be after start date');
+  });
+
+  it('reports a coupon that cannot be used', async () => {
+    jest.spyOn(Coupon, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app).get(`/api/cars/${quoted._id}/quote?startDate=2031-03-03&endDate=2031-03-05&couponCode=nope`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid coupon code');
+  });
+
+  it('returns 404 for an unknown car', async () => {
+    Car.findById.mockResolvedValue(null);
+
+    const res = await request(app).get(`/api/cars/${quoted._id}/quote?startDate=2031-03-03&endDate=2031-03-05`);
+
+    expect(res.status).toBe(404);
+  });
+});
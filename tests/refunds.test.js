@@ -0,0 +1,150 @@
+const { refundablePayments, refundBooking, cancelOpenPayments } = require('../src/services/payments');
+const { setStripe } = require('../src/services/stripe');
+
+const makeBooking = (overrides = {}) => ({
+  _id: 'booking1',
+  paymentStatus: 'paid',
+  stripePaymentIntentId: 'pi_1',
+  totalAmount: 150,
+  amountPaid: 100,
+  paymentAdjustments: [],
+  ...overrides
+});
+
+let stripe;
+
+beforeEach(() => {
+  let count = 0;
+  stripe = {
+    paymentIntents: {
+      retrieve: jest.fn().mockImplementation(async (id) => ({ id, status: 'requires_payment_method' })),
+      cancel: jest.fn().mockResolvedValue({})
+    },
+    refunds: {
+      create: jest.fn().mockImplementation(async (params) => ({ id: `re_${++count}`, ...params }))
+    }
+  };
+  setStripe(stripe);
+});
+
+describe('refundablePayments', () => {
+  it('lists paid balance charges before the original payment', () => {
+    const booking = makeBooking({
+      paymentAdjustments: [
+        { kind: 'charge', amount: 50, stripePaymentIntentId: 'pi_extra', status: 'succeeded' },
+        { kind: 'charge', amount: 30, stripePaymentIntentId: 'pi_unpaid', status: 'pending' }
+      ]
+    });
+
+    expect(refundablePayments(booking)).toEqual([
+      { paymentIntentId: 'pi_extra', amount: 50, refundable: 50 },
+      { paymentIntentId: 'pi_1', amount: 100, refundable: 100 }
+    ]);
+  });
+
+  it('subtracts earlier refunds from each payment', () => {
+    const booking = makeBooking({
+      paymentStatus: 'partially_refunded',
+      paymentAdjustments: [{ kind: 'refund', amount: 40, stripePaymentIntentId: 'pi_1', status: 'succeeded' }]
+    });
+
+    expect(refundablePayments(booking)).toEqual([{ paymentIntentId: 'pi_1', amount: 100, refundable: 60 }]);
+  });
+
+  it('uses the amount paid rather than the current total', () => {
+    expect(refundablePayments(makeBooking({ totalAmount: 500 }))[0].amount).toBe(100);
+  });
+
+  it('has nothing to refund for unpaid bookings', () => {
+    expect(refundablePayments(makeBooking({ paymentStatus: 'pending' }))).toEqual([]);
+  });
+});
+
+describe('refundBooking', () => {
+  it('refunds the newest payment first and spills over to older ones', async () => {
+    const booking = makeBooking({
+      paymentAdjustments: [{ kind: 'charge', amount: 50, stripePaymentIntentId: 'pi_extra', status: 'succeeded' }]
+    });
+
+    const refunds = await refundBooking(booking, 70, { reason: 'Booking modified', key: 'modify-booking1-1' });
+
+    expect(refunds).toHaveLength(2);
+    expect(stripe.refunds.create).toHaveBeenNthCalledWith(1,
+      { payment_intent: 'pi_extra', amount: 5000 },
+      { idempotencyKey: 'modify-booking1-1-pi_extra' }
+    );
+    expect(stripe.refunds.create).toHaveBeenNthCalledWith(2,
+      { payment_intent: 'pi_1', amount: 2000 },
+      { idempotencyKey: 'modify-booking1-1-pi_1' }
+    );
+    expect(booking.paymentAdjustments.slice(1)).toEqual([
+      expect.objectContaining({ kind: 'refund', amount: 50, stripePaymentIntentId: 'pi_extra', stripeRefundId: 're_1' }),
+      expect.objectContaining({ kind: 'refund', amount: 20, stripePaymentIntentId: 'pi_1', stripeRefundId: 're_2' })
+    ]);
+  });
+
+  it('never refunds more than was paid', async () => {
+    const booking = makeBooking();
+
+    const refunds = await refundBooking(booking, 250, { reason: 'Booking cancelled', key: 'refund-booking1' });
+
+    expect(refunds).toHaveLength(1);
+    expect(stripe.refunds.create).toHaveBeenCalledWith({ payment_intent: 'pi_1', amount: 10000 }, expect.any(Object));
+  });
+
+  it('skips payments that were already refunded in full', async () => {
+    const booking = makeBooking({
+      paymentStatus: 'partially_refunded',
+      paymentAdjustments: [
+        { kind: 'charge', amount: 50, stripePaymentIntentId: 'pi_extra', status: 'succeeded' },
+        { kind: 'refund', amount: 50, stripePaymentIntentId: 'pi_extra', status: 'succeeded' }
+      ]
+    });
+
+    await refundBooking(booking, 10, { reason: 'Booking modified', key: 'modify-booking1-2' });
+
+    expect(stripe.refunds.create).toHaveBeenCalledTimes(1);
+    expect(stripe.refunds.create).toHaveBeenCalledWith({ payment_intent: 'pi_1', amount: 1000 }, expect.any(Object));
+  });
+});
+
+describe('cancelOpenPayments', () => {
+  it('cancels the PaymentIntent of an unpaid booking', async () => {
+    const booking = makeBooking({ paymentStatus: 'pending', amountPaid: undefined });
+
+    await cancelOpenPayments(booking);
+
+    expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_1');
+  });
+
+  it('cancels an open balance charge of a paid booking but not its original payment', async () => {
+    const booking = makeBooking({
+      paidAt: new Date(),
+      paymentAdjustments: [{ kind: 'charge', amount: 30, stripePaymentIntentId: 'pi_extra', status: 'pending' }]
+    });
+
+    await cancelOpenPayments(booking);
+
+    expect(stripe.paymentIntents.cancel).toHaveBeenCalledTimes(1);
+    expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_extra');
+    expect(booking.paymentAdjustments[0].status).toBe('cancelled');
+  });
+
+  it('leaves payments that are already going through', async () => {
+    stripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_1', status: 'processing' });
+    const booking = makeBooking({ paymentStatus: 'pending' });
+
+    await cancelOpenPayments(booking);
+
+    expect(stripe.paymentIntents.cancel).not.toHaveBeenCalled();
+  });
+
+  it('does not stop the cancellation when Stripe fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    stripe.paymentIntents.retrieve.mockRejectedValue(new Error('Stripe is down'));
+
+    await expect(cancelOpenPayments(makeBooking({ paymentStatus: 'pending' }))).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,120 @@
+const Booking = require('../src/models/Booking');
+const CarLock = require('../src/models/CarLock');
+const { reserveCar, withCarLock, findConflicts, ReservationError } = require('../src/services/reservation');
+const { describeWithDb, useTestDatabase } = require('./helpers/db');
+const { daysFromNow, createCar, createUser } = require('./helpers/factories');
+
+const bookingData = (user, car, startDate, endDate) => ({
+  user: user._id,
+  car: car._id,
+  startDate,
+  endDate,
+  totalAmount: 100,
+  pickupLocation: 'Branch',
+  returnLocation: 'Branch'
+});
+
+describeWithDb('reservation service', () => {
+  useTestDatabase();
+
+  let car;
+  let users;
+
+  beforeEach(async () => {
+    car = await createCar();
+    users = await Promise.all([1, 2, 3, 4, 5].map(() => createUser()));
+  });
+
+  it('creates exactly one booking when parallel requests overlap', async () => {
+    const results = await Promise.allSettled(users.map((user, index) => reserveCar(
+      bookingData(user, car, daysFromNow(3 + (index % 2)), daysFromNow(6))
+    )));
+
+    const created = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+
+    expect(created).toHaveLength(1);
+    expect(rejected).toHaveLength(users.length - 1);
+    rejected.forEach(result => {
+      expect(result.reason).toBeInstanceOf(ReservationError);
+      expect(result.reason.message).toBe('Car is not available for the selected dates');
+    });
+    expect(await Booking.countDocuments({ car: car._id })).toBe(1);
+    expect(await CarLock.countDocuments()).toBe(0);
+  });
+
+  it('accepts parallel requests for dates that do not overlap', async () => {
+    const results = await Promise.allSettled(users.slice(0, 3).map((user, index) => reserveCar(
+      bookingData(user, car, daysFromNow(2 + index * 3), daysFromNow(4 + index * 3))
+    )));
+
+    expect(results.every(result => result.status === 'fulfilled')).toBe(true);
+    expect(await Booking.countDocuments({ car: car._id })).toBe(3);
+  });
+
+  it('gives new pending bookings a hold and a creation history entry', async () => {
+    const booking = await reserveCar(bookingData(users[0], car, daysFromNow(3), daysFromNow(5)));
+
+    expect(booking.status).toBe('pending');
+    expect(booking.holdExpiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(booking.statusHistory).toHaveLength(1);
+    expect(booking.statusHistory[0].to).toBe('pending');
+  });
+
+  it('stops blocking the dates once a pending hold has expired', async () => {
+    await Booking.create({
+      ...bookingData(users[0], car, daysFromNow(3), daysFromNow(5)),
+      status: 'pending',
+      holdExpiresAt: new Date(Date.now() - 60 * 1000)
+    });
+
+    const booking = await reserveCar(bookingData(users[1], car, daysFromNow(3), daysFromNow(5)));
+
+    expect(booking.user).toEqual(users[1]._id);
+    expect(await Booking.countDocuments({ car: car._id })).toBe(2);
+  });
+
+  it('keeps blocking the dates while a pending hold is live', async () => {
+    await Booking.create({
+      ...bookingData(users[0], car, daysFromNow(3), daysFromNow(5)),
+      status: 'pending',
+      holdExpiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    await expect(reserveCar(bookingData(users[1], car, daysFromNow(4), daysFromNow(6))))
+      .rejects.toThrow(ReservationError);
+  });
+
+  it('ignores cancelled bookings and the excluded booking when looking for conflicts', async () => {
+    const cancelled = await Booking.create({ ...bookingData(users[0], car, daysFromNow(3), daysFromNow(5)), status: 'cancelled' });
+    const confirmed = await Booking.create({ ...bookingData(users[1], car, daysFromNow(3), daysFromNow(5)), status: 'confirmed' });
+
+    const conflicts = await findConflicts(car._id, daysFromNow(3), daysFromNow(5));
+    expect(conflicts.map(conflict => String(conflict._id))).toEqual([String(confirmed._id)]);
+    expect(cancelled.status).toBe('cancelled');
+
+    const excluded = await findConflicts(car._id, daysFromNow(3), daysFromNow(5), { excludeBookingId: confirmed._id });
+    expect(excluded).toHaveLength(0);
+  });
+
+  it('runs lock holders for the same car one at a time', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    await Promise.all([1, 2, 3].map(() => withCarLock(car._id, async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      running--;
+    })));
+
+    expect(maxRunning).toBe(1);
+  });
+
+  it('takes over a lock left behind after it expired', async () => {
+    await CarLock.create({ _id: car._id, owner: 'crashed-process', expiresAt: new Date(Date.now() - 1000) });
+
+    await expect(withCarLock(car._id, async () => 'done')).resolves.toBe('done');
+    expect(await CarLock.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,144 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const Car = require('../src/models/Car');
+const Review = require('../src/models/Review');
+const { describeWithDb, useTestDatabase } = require('./helpers/db');
+const { daysFromNow, createCar, createUser } = require('./helpers/factories');
+
+const mockUserId = '507f1f77bcf86cd799439011';
+
+jest.mock('../src/middleware/auth', () => (req, res, next) => {
+  req.user = { id: mockUserId, role: 'user' };
+  next();
+});
+
+const app = express();
+app.use(express.json());
+app.use('/api/cars', require('../src/routes/cars'));
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('POST /api/cars/:id/reviews', () => {
+  const carId = id();
+  const booking = (overrides = {}) => ({ _id: id(), car: carId, user: mockUserId, status: 'completed', ...overrides });
+
+  const post = (body) => request(app).post(`/api/cars/${carId}/reviews`).send({ booking: String(id()), rating: 4, ...body });
+
+  beforeEach(() => {
+    jest.spyOn(Review, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Review, 'create').mockImplementation(async (data) => ({ _id: id(), ...data }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reviews a completed booking of the car', async () => {
+    const completed = booking();
+    jest.spyOn(Booking, 'findById').mockResolvedValue(completed);
+
+    const res = await post({ rating: 5, comment: 'Spotless' });
+
+    expect(res.status).toBe(201);
+    expect(Review.create).toHaveBeenCalledWith({
+      car: carId,
+      booking: completed._id,
+      user: mockUserId,
+      rating: 5,
+      comment: 'Spotless'
+    });
+  });
+
+  it('only accepts ratings from 1 to 5', async () => {
+    const res = await post({ rating: 6 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('Rating must be between 1 and 5');
+  });
+
+  it('refuses bookings that have not been completed', async () => {
+    jest.spyOn(Booking, 'findById').mockResolvedValue(booking({ status: 'active' }));
+
+    const res = await post();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Only completed bookings can be reviewed');
+  });
+
+  it('refuses someone else\'s booking', async () => {
+    jest.spyOn(Booking, 'findById').mockResolvedValue(booking({ user: id() }));
+
+    const res = await post();
+
+    expect(res.status).toBe(403);
+  });
+
+  it('refuses a booking of another car', async () => {
+    jest.spyOn(Booking, 'findById').mockResolvedValue(booking({ car: id() }));
+
+    const res = await post();
+
+    expect(res.status).toBe(404);
+  });
+
+  it('allows one review per booking', async () => {
+    jest.spyOn(Booking, 'findById').mockResolvedValue(booking());
+    Review.findOne.mockResolvedValue({ _id: id() });
+
+    const res = await post();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('This booking has already been reviewed');
+    expect(Review.create).not.toHaveBeenCalled();
+  });
+});
+
+describeWithDb('car rating', () => {
+  useTestDatabase();
+
+  let car;
+
+  const review = async (rating) => {
+    const user = await createUser();
+    const booking = await Booking.create({
+      user: user._id,
+      car: car._id,
+      startDate: daysFromNow(-5),
+      endDate: daysFromNow(-3),
+      totalDays: 2,
+      totalAmount: 100,
+      pickupLocation: 'Branch',
+      returnLocation: 'Branch',
+      status: 'completed'
+    });
+    return Review.create({ car: car._id, booking: booking._id, user: user._id, rating });
+  };
+
+  const ratingOf = async () => (await Car.findById(car._id).lean()).rating;
+
+  beforeEach(async () => {
+    car = await createCar();
+  });
+
+  it('averages the visible reviews when one is created or edited', async () => {
+    const first = await review(5);
+    await review(2);
+    expect(await ratingOf()).toEqual({ average: 3.5, count: 2 });
+
+    first.rating = 3;
+    await first.save();
+    expect(await ratingOf()).toEqual({ average: 2.5, count: 2 });
+  });
+
+  it('leaves hidden reviews out of the rating', async () => {
+    const abusive = await review(1);
+    await review(5);
+
+    abusive.isHidden = true;
+    await abusive.save();
+
+    expect(await ratingOf()).toEqual({ average: 5, count: 1 });
+  });
+});
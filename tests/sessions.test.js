@@ -0,0 +1,112 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../src/models/Session');
+const { createSession } = require('../src/services/sessions');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', require('../src/routes/auth'));
+
+// Minimal in-memory stand-in for the sessions collection
+let sessions;
+
+const matches = (session, query) => Object.entries(query).every(([key, value]) => {
+  if (value && value.$exists === false) return session[key] === undefined;
+  return String(session[key]) === String(value);
+});
+
+const findSession = (query) => sessions.find(session => matches(session, query)) || null;
+
+beforeEach(() => {
+  sessions = [];
+  jest.spyOn(Session, 'create').mockImplementation(async (data) => {
+    const session = new Session(data);
+    sessions.push(session);
+    return session;
+  });
+  jest.spyOn(Session, 'findById').mockImplementation((id) => ({
+    select: async () => findSession({ _id: id })
+  }));
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (query, update) => {
+    const session = findSession(query);
+    if (session) session.set(update);
+    return session;
+  });
+  jest.spyOn(Session, 'updateOne').mockImplementation(async (query, update) => {
+    const session = findSession(query);
+    if (session) session.set(update);
+    return { modifiedCount: session ? 1 : 0 };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const signIn = () => createSession({ _id: new mongoose.Types.ObjectId() }, { get: () => 'jest', ip: '127.0.0.1' });
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+describe('POST /api/auth/refresh', () => {
+  it('issues a new access token and rotates the refresh token', async () => {
+    const { refreshToken, session } = await signIn();
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+    expect(res.body.refreshToken.startsWith(`${session._id}.`)).toBe(true);
+    expect(jwt.verify(res.body.token, 'test-secret')).toMatchObject({ id: String(session.user), sid: String(session._id) });
+  });
+
+  it('keeps rotating with each new refresh token', async () => {
+    const { refreshToken } = await signIn();
+
+    const first = await refresh(refreshToken);
+    const second = await refresh(first.body.refreshToken);
+
+    expect(second.status).toBe(200);
+  });
+
+  it('revokes the session when a rotated refresh token is reused', async () => {
+    const { refreshToken, session } = await signIn();
+    const rotated = await refresh(refreshToken);
+
+    const reuse = await refresh(refreshToken);
+
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.message).toBe('Refresh token has already been used; session revoked');
+    expect(session.revokedAt).toBeInstanceOf(Date);
+
+    // The legitimate holder is signed out too, since either copy may be the stolen one
+    const afterReuse = await refresh(rotated.body.refreshToken);
+    expect(afterReuse.status).toBe(401);
+    expect(afterReuse.body.message).toBe('Session has expired, please log in again');
+  });
+
+  it('refuses an expired session', async () => {
+    const { refreshToken, session } = await signIn();
+    session.expiresAt = new Date(Date.now() - 1000);
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('refuses a malformed refresh token', async () => {
+    const res = await refresh('not-a-token');
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid refresh token');
+  });
+
+  it('requires a refresh token', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({});
+
+    expect(res.status).toBe(400);
+  });
+});
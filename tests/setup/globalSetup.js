@@ -0,0 +1,16 @@
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Start one in-memory MongoDB for the whole run and expose it as MONGO_TEST_URI.
+// Set MONGO_TEST_URI yourself to use an existing server instead. When neither is
+// available (e.g. the mongod binary cannot be downloaded) the database specs are skipped.
+module.exports = async () => {
+  if (process.env.MONGO_TEST_URI) return;
+
+  try {
+    const mongod = await MongoMemoryServer.create();
+    globalThis.__MONGOD__ = mongod;
+    process.env.MONGO_TEST_URI = mongod.getUri();
+  } catch (error) {
+    console.warn(`\nMongoDB is not available, database specs will be skipped: ${error.message.split('\n')[0]}`);
+  }
+};
@@ -0,0 +1,3 @@
+module.exports = async () => {
+  if (globalThis.__MONGOD__) await globalThis.__MONGOD__.stop();
+};
@@ -0,0 +1,99 @@
+const express = require('express');
+const request = require('supertest');
+
+let mockUser;
+
+jest.mock('../src/middleware/auth', () => (req, res, next) => {
+  req.user = mockUser;
+  next();
+});
+jest.mock('../src/models/User', () => ({
+  findOne: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock('../src/services/notifications', () => ({
+  notifyEmailVerification: jest.fn(),
+  notifyEmailChanged: jest.fn(),
+  notifyPasswordChanged: jest.fn()
+}));
+jest.mock('../src/services/audit', () => ({
+  recordAudit: jest.fn()
+}));
+
+const User = require('../src/models/User');
+const { notifyEmailVerification, notifyEmailChanged } = require('../src/services/notifications');
+const { recordAudit } = require('../src/services/audit');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', require('../src/routes/users'));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockUser = {
+    id: 'user1',
+    email: 'ada@example.com',
+    isVerified: true,
+    createEmailVerificationToken() {
+      this.emailVerificationToken = 'hashed-token';
+      this.emailVerificationExpires = new Date('2030-01-02');
+      return 'raw-token';
+    }
+  };
+  User.findOne.mockResolvedValue(null);
+  User.findByIdAndUpdate.mockImplementation(async (id, updates) => ({ _id: id, ...updates }));
+});
+
+describe('PUT /api/users/profile', () => {
+  it('requires the new address to be verified when the email changes', async () => {
+    const res = await request(app).put('/api/users/profile').send({ email: 'ada@newmail.com' });
+
+    expect(res.status).toBe(200);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith('user1', {
+      email: 'ada@newmail.com',
+      isVerified: false,
+      emailVerificationToken: 'hashed-token',
+      emailVerificationExpires: new Date('2030-01-02')
+    }, expect.any(Object));
+    expect(notifyEmailVerification).toHaveBeenCalledWith(expect.objectContaining({ email: 'ada@newmail.com' }), 'raw-token');
+    expect(notifyEmailChanged).toHaveBeenCalledWith(expect.objectContaining({ email: 'ada@newmail.com' }), 'ada@example.com');
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'user.email.change' }));
+  });
+
+  it('keeps the verification when the email is unchanged', async () => {
+    const res = await request(app).put('/api/users/profile').send({ email: 'ADA@example.com', name: 'Ada L.' });
+
+    expect(res.status).toBe(200);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith('user1', { email: 'ADA@example.com', name: 'Ada L.' }, expect.any(Object));
+    expect(notifyEmailVerification).not.toHaveBeenCalled();
+    expect(notifyEmailChanged).not.toHaveBeenCalled();
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'user.profile.update' }));
+  });
+
+  it('ignores fields that have their own flows', async () => {
+    await request(app).put('/api/users/profile').send({ name: 'Ada', isVerified: true, role: 'admin' });
+
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith('user1', { name: 'Ada' }, expect.any(Object));
+  });
+
+  it('refuses an email that belongs to another account', async () => {
+    User.findOne.mockResolvedValue({ _id: 'user2', email: 'grace@example.com' });
+
+    const res = await request(app).put('/api/users/profile').send({ email: 'Grace@example.com' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('User already exists with this email');
+    expect(User.findOne).toHaveBeenCalledWith({ email: 'grace@example.com', _id: { $ne: 'user1' } });
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(notifyEmailChanged).not.toHaveBeenCalled();
+  });
+
+  it('reports an email registered since the check as taken', async () => {
+    User.findByIdAndUpdate.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    const res = await request(app).put('/api/users/profile').send({ email: 'grace@example.com' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('User already exists with this email');
+  });
+});
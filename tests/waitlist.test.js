@@ -0,0 +1,123 @@
+jest.mock('../src/services/notifications', () => ({
+  notifyWaitlistOffer: jest.fn()
+}));
+
+const Booking = require('../src/models/Booking');
+const Car = require('../src/models/Car');
+const WaitlistEntry = require('../src/models/WaitlistEntry');
+const { processWaitlist, expireWaitlistOffers } = require('../src/services/waitlist');
+const { notifyWaitlistOffer } = require('../src/services/notifications');
+const { describeWithDb, useTestDatabase } = require('./helpers/db');
+const { daysFromNow, createBranch, createCar, createUser } = require('./helpers/factories');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// The cancellation listener processes the waitlist after the transition resolves
+const waitFor = async (check, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+describeWithDb('waitlist', () => {
+  useTestDatabase();
+
+  let car;
+  let users;
+
+  // Entries are served oldest first, so give each one a distinct creation time
+  const joinWaitlist = (user, index, overrides = {}) => WaitlistEntry.create({
+    user: user._id,
+    car: car._id,
+    startDate: daysFromNow(3),
+    endDate: daysFromNow(5),
+    pickupBranch: car.branch,
+    returnBranch: car.branch,
+    createdAt: new Date(Date.now() - (10 - index) * 60 * 1000),
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    notifyWaitlistOffer.mockClear();
+    car = await createCar();
+    users = await Promise.all([1, 2, 3].map(() => createUser()));
+  });
+
+  it('offers a freed car to the customer who joined first and holds it for them', async () => {
+    const first = await joinWaitlist(users[0], 0);
+    const second = await joinWaitlist(users[1], 1);
+
+    await processWaitlist(car._id, daysFromNow(3), daysFromNow(5));
+
+    const offered = await WaitlistEntry.findById(first._id).populate('booking');
+    expect(offered.status).toBe('offered');
+    expect(offered.booking.status).toBe('pending');
+    expect(String(offered.booking.user)).toBe(String(users[0]._id));
+    expect(offered.booking.holdExpiresAt.getTime()).toBeGreaterThan(Date.now() + HOUR_MS);
+
+    expect((await WaitlistEntry.findById(second._id)).status).toBe('waiting');
+    expect(notifyWaitlistOffer).toHaveBeenCalledTimes(1);
+  });
+
+  it('serves category entries at the car\'s home branch only', async () => {
+    const otherBranch = await createBranch();
+    const atBranch = await joinWaitlist(users[0], 0, { car: undefined, category: car.category });
+    const elsewhere = await joinWaitlist(users[1], 1, {
+      car: undefined,
+      category: car.category,
+      pickupBranch: otherBranch._id,
+      returnBranch: otherBranch._id,
+      startDate: daysFromNow(10),
+      endDate: daysFromNow(12)
+    });
+
+    await processWaitlist(car._id);
+
+    expect((await WaitlistEntry.findById(atBranch._id)).status).toBe('offered');
+    expect((await WaitlistEntry.findById(elsewhere._id)).status).toBe('waiting');
+  });
+
+  it('moves an expired hold on to the next customer', async () => {
+    const first = await joinWaitlist(users[0], 0);
+    const second = await joinWaitlist(users[1], 1);
+    await processWaitlist(car._id, daysFromNow(3), daysFromNow(5));
+
+    await expireWaitlistOffers(new Date(Date.now() + 3 * HOUR_MS));
+
+    const expired = await WaitlistEntry.findById(first._id).populate('booking');
+    expect(expired.status).toBe('expired');
+    expect(expired.booking.status).toBe('cancelled');
+
+    await waitFor(async () => (await WaitlistEntry.findById(second._id)).status === 'offered');
+    expect(await Booking.countDocuments({ car: car._id, status: 'pending' })).toBe(1);
+  });
+
+  it('keeps holds that have not expired yet', async () => {
+    const first = await joinWaitlist(users[0], 0);
+    await processWaitlist(car._id, daysFromNow(3), daysFromNow(5));
+
+    await expireWaitlistOffers(new Date(Date.now() + HOUR_MS));
+
+    expect((await WaitlistEntry.findById(first._id)).status).toBe('offered');
+  });
+
+  it('does not offer a car that is out of service', async () => {
+    const entry = await joinWaitlist(users[0], 0);
+    await Car.updateOne({ _id: car._id }, { isAvailable: false });
+
+    await processWaitlist(car._id);
+
+    expect((await WaitlistEntry.findById(entry._id)).status).toBe('waiting');
+    expect(notifyWaitlistOffer).not.toHaveBeenCalled();
+  });
+
+  it('expires entries whose rental would already have started', async () => {
+    const entry = await joinWaitlist(users[0], 0);
+
+    await processWaitlist(car._id, daysFromNow(3), daysFromNow(5), daysFromNow(4));
+
+    expect((await WaitlistEntry.findById(entry._id)).status).toBe('expired');
+  });
+});